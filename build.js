@@ -2,13 +2,17 @@
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const crypto = require('crypto');
 const marked = require('marked');
 const frontMatter = require('front-matter');
 const moment = require('moment');
 const typogr = require('typogr');
 const _ = require('underscore');
-const { exec } = require('child_process');
+const rimraf = require('rimraf');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 
 const execAsync = promisify(exec);
@@ -16,40 +20,424 @@ const execAsync = promisify(exec);
 // Parse command line arguments
 const args = process.argv.slice(2);
 const FORCE_OVERWRITE = args.includes('--force') || args.includes('-f');
+const JOBS = parseJobs(getArgValue('--jobs') || getArgValue('-j'));
+const PRUNE_ONLY = args.includes('--clean') || args.includes('--prune');
+const CHECK_ONLY = args.includes('--check');
+const DRY_RUN = args.includes('--dry-run');
+const WATCH = args.includes('--watch') || args.includes('-w');
+const SERVE = args.includes('--serve');
+const PORT = parseInt(getArgValue('--port'), 10) || 8080;
+const INCLUDE_DRAFTS = args.includes('--drafts');
+const ONLY_SLUG = getArgValue('--only');
+const DEPLOY = args.includes('--deploy');
+
+// Read the value following a command line option, e.g. `--jobs 4`
+function getArgValue(name) {
+    const index = args.indexOf(name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
 
-// Image processing settings for photography blog
-const MAX_WIDTH = 2200;        // Maximum width for web display
-const TARGET_WIDTHS = [960, 1100, 1440, 2200];
-const JPEG_QUALITY = 90;       // JPEG quality (85% = good balance of quality/size)
-const WEBP_QUALITY = 80;       // WEBP quality
-const AVIF_QUALITY = 75;       // AVIF quality (lower value ~ better compression)
-const STRIP_METADATA = true;   // Remove EXIF data for privacy and smaller files
-
-// Configuration
-const config = {
-    url: 'https://mijnrealiteit.nl/',
-    name: 'mijnrealiteit',
-    owner: 'Mike van Rossum',
-    description: 'Mike\'s Photoblog',
-    logo: '/static/logo.svg',
-    domain: 'mijnrealiteit.nl'
+// Number of image commands to run in parallel (defaults to the CPU count)
+function parseJobs(value) {
+    if (value === null) {
+        return os.cpus().length || 1;
+    }
+    const jobs = parseInt(value, 10);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        console.error(`Invalid --jobs value "${value}", expected a positive number`);
+        process.exit(1);
+    }
+    return jobs;
+}
+
+// Site configuration: loaded from site.config.json (or .js), merged over these defaults
+const DEFAULT_CONFIG = {
+    site: {
+        logo: '/static/logo.svg',
+        language: 'en',          // Language of the site and of index.md files without a `lang`
+        about: '',
+        contactEmail: ''
+    },
+    images: {
+        maxWidth: 2200,          // Maximum width for web display
+        widths: [960, 1100, 1440, 2200],
+        jpegQuality: 90,         // JPEG quality (85% = good balance of quality/size)
+        webpQuality: 80,         // WEBP quality
+        avifQuality: 75,         // AVIF quality (lower value ~ better compression)
+        stripMetadata: true,     // Remove EXIF data for privacy and smaller files
+        wideGamut: false,        // Keep Display P3 colours of wide-gamut photos in AVIF and WebP (JPG is always sRGB)
+        exifCaptions: false,     // Show camera/lens/exposure under photos (front matter `exif` overrides per article)
+        exifGps: false,          // Include GPS coordinates in captions (front matter `exifGps` overrides per article)
+        lightbox: false          // Open photos in a full-screen viewer (front matter `lightbox` overrides per article)
+    },
+    feeds: {
+        fullContent: false,      // Put the full rendered article HTML in every feed instead of a short description
+        itemLimit: 0             // Maximum number of items per feed (0 = no limit)
+    },
+    places: {
+        fromGps: false,          // Take an article's coordinates from its first photo's GPS (front matter `locationFromGps` overrides per article)
+        gpsPrecision: 2          // Decimals kept of GPS coordinates (2 = about 1 km)
+    },
+    home: {
+        layout: 'list',          // 'list' of story titles or 'grid' of cover photos
+        coverAspect: '3:2',      // Crop of the cover thumbnails in the grid ('1:1' for squares)
+        coverWidths: [480, 960]  // Widths of the cover thumbnail variants
+    },
+    directories: {
+        articles: 'raw_articles',
+        static: 'static',
+        build: 'build'
+    },
+    deploy: {
+        target: 'directory',     // 'directory', 'rsync' or 's3'
+        destination: '',         // Directory, rsync destination (user@host:/path) or s3://bucket/prefix
+        endpoint: '',            // S3-compatible endpoint URL (empty = AWS in `region`)
+        region: 'us-east-1',     // S3 region used for signing requests
+        delete: false            // Remove previously deployed files that the build no longer produces
+    },
+    theme: ''                    // Directory of a theme overriding (some of) the templates in themes/default
+};
+
+// Validators return an error message, or null when the value is fine
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0 ? null : 'must be a non-empty string';
+const isString = value => typeof value === 'string' ? null : 'must be a string';
+const isBoolean = value => typeof value === 'boolean' ? null : 'must be true or false';
+const isIntegerBetween = (min, max) => value => Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : (max === Infinity ? `must be an integer of at least ${min}` : `must be an integer between ${min} and ${max}`);
+const isQuality = isIntegerBetween(1, 100);
+const isSiteUrl = value => typeof value === 'string' && /^https?:\/\/[^/]+.*\/$/.test(value) ? null : 'must be an absolute http(s) URL ending in "/"';
+const isEmail = value => value === '' || /^[^@\s]+@[^@\s]+$/.test(value) ? null : 'must be an email address';
+const isAscendingWidths = value => Array.isArray(value) && value.length > 0 &&
+    value.every((width, index) => Number.isInteger(width) && width > 0 && (index === 0 || width > value[index - 1]))
+    ? null
+    : 'must be a non-empty list of ascending positive integers';
+const isLanguageCode = value => typeof value === 'string' && /^[a-z]{2,3}(-[a-z]{2})?$/i.test(value) ? null : 'must be a language code such as "en" or "nl"';
+const isOneOf = options => value => options.includes(value) ? null : `must be one of ${options.map(option => `"${option}"`).join(', ')}`;
+const isAspectRatio = value => typeof value === 'string' && /^[1-9]\d*:[1-9]\d*$/.test(value) ? null : 'must be an aspect ratio such as "3:2"';
+
+// Every allowed setting; anything not listed here is rejected as unknown
+const CONFIG_SCHEMA = {
+    site: {
+        url: isSiteUrl,
+        name: isNonEmptyString,
+        owner: isNonEmptyString,
+        description: isNonEmptyString,
+        logo: isNonEmptyString,
+        domain: isNonEmptyString,
+        language: isLanguageCode,
+        about: isString,
+        contactEmail: isEmail
+    },
+    images: {
+        maxWidth: isIntegerBetween(1, Infinity),
+        widths: isAscendingWidths,
+        jpegQuality: isQuality,
+        webpQuality: isQuality,
+        avifQuality: isQuality,
+        stripMetadata: isBoolean,
+        wideGamut: isBoolean,
+        exifCaptions: isBoolean,
+        exifGps: isBoolean,
+        lightbox: isBoolean
+    },
+    feeds: {
+        fullContent: isBoolean,
+        itemLimit: isIntegerBetween(0, Infinity)
+    },
+    places: {
+        fromGps: isBoolean,
+        gpsPrecision: isIntegerBetween(0, 6)
+    },
+    home: {
+        layout: isOneOf(['list', 'grid']),
+        coverAspect: isAspectRatio,
+        coverWidths: isAscendingWidths
+    },
+    directories: {
+        articles: isNonEmptyString,
+        static: isNonEmptyString,
+        build: isNonEmptyString
+    },
+    deploy: {
+        target: isOneOf(['directory', 'rsync', 's3']),
+        destination: isString,
+        endpoint: value => value === '' || /^https?:\/\/[^/]+\/?$/.test(value) ? null : 'must be an http(s) URL without a path',
+        region: isNonEmptyString,
+        delete: isBoolean
+    },
+    theme: value => typeof value === 'string' && (value === '' || fs.existsSync(value)) ? null : 'must be an existing theme directory'
 };
 
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge plain objects; arrays and other values from `overrides` replace those in `base`
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    Object.keys(overrides).forEach(key => {
+        merged[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+            ? mergeConfig(base[key], overrides[key])
+            : overrides[key];
+    });
+    return merged;
+}
+
+// Collect every problem in a configuration object against the schema
+function validateConfig(value, schema, prefix = '') {
+    const errors = [];
+    Object.keys(value).forEach(key => {
+        if (!(key in schema)) {
+            errors.push(`${prefix}${key}: unknown setting`);
+        }
+    });
+    Object.keys(schema).forEach(key => {
+        const name = `${prefix}${key}`;
+        const rule = schema[key];
+        if (typeof rule === 'function') {
+            if (value[key] === undefined) {
+                errors.push(`${name}: is required`);
+                return;
+            }
+            const error = rule(value[key]);
+            if (error) {
+                errors.push(`${name}: ${error} (got ${JSON.stringify(value[key])})`);
+            }
+        } else if (!isPlainObject(value[key])) {
+            errors.push(`${name}: must be an object`);
+        } else {
+            errors.push(...validateConfig(value[key], rule, `${name}.`));
+        }
+    });
+    return errors;
+}
+
+// Apply `--set images.jpegQuality=85` style overrides; values are parsed as JSON when possible
+function applyConfigOverrides(fileConfig, overrides) {
+    const result = mergeConfig({}, fileConfig);
+    overrides.forEach(override => {
+        const separator = override.indexOf('=');
+        if (separator === -1) {
+            throw new Error(`Invalid --set "${override}", expected key.path=value`);
+        }
+        const keys = override.slice(0, separator).split('.');
+        const rawValue = override.slice(separator + 1);
+        let value;
+        try {
+            value = JSON.parse(rawValue);
+        } catch (_) {
+            value = rawValue;
+        }
+        let target = result;
+        keys.slice(0, -1).forEach(key => {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+    return result;
+}
+
+// Find, load, merge and validate the site configuration
+function loadSiteConfig() {
+    const candidates = getArgValue('--config') ? [getArgValue('--config')] : ['site.config.js', 'site.config.json'];
+    const configFile = candidates.find(candidate => fs.existsSync(candidate));
+    if (!configFile) {
+        throw new Error(`No site configuration found (looked for ${candidates.join(', ')})`);
+    }
+
+    let fileConfig;
+    try {
+        fileConfig = configFile.endsWith('.js')
+            ? require(path.resolve(configFile))
+            : JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${configFile}: ${error.message}`);
+    }
+    if (!isPlainObject(fileConfig)) {
+        throw new Error(`${configFile} must contain a configuration object`);
+    }
+
+    const overrides = args.filter((arg, index) => args[index - 1] === '--set');
+    const merged = mergeConfig(DEFAULT_CONFIG, applyConfigOverrides(fileConfig, overrides));
+    const errors = validateConfig(merged, CONFIG_SCHEMA);
+    if (errors.length === 0 && merged.images.widths[merged.images.widths.length - 1] > merged.images.maxWidth) {
+        errors.push(`images.widths: must not exceed images.maxWidth (${merged.images.maxWidth})`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid site configuration in ${configFile}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return merged;
+}
+
+// Site configuration and the settings derived from it, set by configure() before anything is built, so
+// requiring this file never reads (or exits on) a configuration
+let siteConfig;
+
+// Image processing settings for photography blog
+let TARGET_WIDTHS, JPEG_QUALITY, WEBP_QUALITY, AVIF_QUALITY, STRIP_METADATA, WIDE_GAMUT;
+let EXIF_CAPTIONS, EXIF_GPS, LIGHTBOX;
+// Version of the colour handling (profile conversion, resizing in linear light), recorded with every variant
+const COLOR_MANAGEMENT = 'linear-light';
+
+// Feed settings
+let FEED_FULL_CONTENT, FEED_ITEM_LIMIT;
+
+// Location settings
+let LOCATION_FROM_GPS, GPS_PRECISION;
+
+// Homepage settings
+let HOME_LAYOUT, COVER_ASPECT, COVER_WIDTHS;
+
+// Site identity
+let config, SITE_LANGUAGE;
+
 // Directories
-const RAW_ARTICLES = 'raw_articles';
-const STATIC = 'static';
-const BUILD = 'build';
+let RAW_ARTICLES, STATIC, BUILD;
+
+// Themes: templates are looked up in the configured theme first, then in the default theme
+const DEFAULT_THEME_DIR = path.join(__dirname, 'themes', 'default');
+let THEME_DIRS = [DEFAULT_THEME_DIR];
+let templateCache = {}; // compiled templates by name
 
 // Image cache file
 const IMAGE_CACHE_FILE = 'image-cache.json';
 let IMAGE_CACHE = null; // in-memory cache loaded once per build
+let imageCacheDirty = false; // whether IMAGE_CACHE has changes that are not on disk yet
+
+// Deploy settings; credentials for S3 come from the environment, never from the configuration
+let DEPLOY_SETTINGS, DEPLOY_DELETE;
+
+// Use a site configuration, by default the one loadSiteConfig() finds; throws when it is invalid
+function configure(loadedConfig = loadSiteConfig()) {
+    siteConfig = loadedConfig;
+
+    TARGET_WIDTHS = siteConfig.images.widths;
+    JPEG_QUALITY = siteConfig.images.jpegQuality;
+    WEBP_QUALITY = siteConfig.images.webpQuality;
+    AVIF_QUALITY = siteConfig.images.avifQuality;
+    STRIP_METADATA = siteConfig.images.stripMetadata;
+    WIDE_GAMUT = siteConfig.images.wideGamut;
+    EXIF_CAPTIONS = siteConfig.images.exifCaptions;
+    EXIF_GPS = siteConfig.images.exifGps;
+    LIGHTBOX = siteConfig.images.lightbox;
+
+    FEED_FULL_CONTENT = siteConfig.feeds.fullContent;
+    FEED_ITEM_LIMIT = siteConfig.feeds.itemLimit;
+
+    LOCATION_FROM_GPS = siteConfig.places.fromGps;
+    GPS_PRECISION = siteConfig.places.gpsPrecision;
+
+    HOME_LAYOUT = siteConfig.home.layout;
+    COVER_ASPECT = siteConfig.home.coverAspect;
+    COVER_WIDTHS = siteConfig.home.coverWidths;
+
+    config = siteConfig.site;
+    SITE_LANGUAGE = config.language.toLowerCase();
+
+    RAW_ARTICLES = siteConfig.directories.articles;
+    STATIC = siteConfig.directories.static;
+    BUILD = siteConfig.directories.build;
+
+    const themeDir = siteConfig.theme ? path.resolve(siteConfig.theme) : null;
+    THEME_DIRS = [themeDir, DEFAULT_THEME_DIR].filter(Boolean);
+    templateCache = {};
+
+    DEPLOY_SETTINGS = siteConfig.deploy;
+    DEPLOY_DELETE = args.includes('--delete') || DEPLOY_SETTINGS.delete;
+
+    ensureDirExists(BUILD);
+}
+
+const DEPLOY_MANIFEST_FILE = 'deploy-manifest.json';
+
+// Build manifest file
+const BUILD_MANIFEST_FILE = 'build-manifest.json';
+let BUILD_MANIFEST = null; // in-memory manifest, saved at the end of every build
+let sharedInputsHash = null; // fingerprint of the generator and theme, reset when the theme changes
+let pageStats = { written: 0, skipped: 0 };
 
 // Global variable to store the CSS filename with hash
 let cssFilename = 'main.css';
 
-// Ensure build directory exists
-if (!fs.existsSync(BUILD)) {
-    fs.mkdirSync(BUILD, { recursive: true });
+// Hashed filename of the theme stylesheet, loaded before main.css so the site's own CSS can override it
+let themeCssFilename = 'theme.css';
+
+// Theme scripts copied to build/js, by name, with their hashed filenames
+const THEME_SCRIPTS = ['lightbox', 'search'];
+let scriptFilenames = {};
+
+// Queue that runs at most `concurrency` async tasks at the same time
+function createTaskQueue(concurrency) {
+    const pending = [];
+    let running = 0;
+
+    const next = () => {
+        if (running >= concurrency || pending.length === 0) {
+            return;
+        }
+        const { task, resolve, reject } = pending.shift();
+        running++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .then(() => {
+                running--;
+                next();
+            });
+    };
+
+    return {
+        add(task) {
+            return new Promise((resolve, reject) => {
+                pending.push({ task, resolve, reject });
+                next();
+            });
+        }
+    };
+}
+
+// All ImageMagick invocations share one queue so --jobs bounds the total number of processes
+const imageQueue = createTaskQueue(JOBS);
+
+function runImageCommand(cmd, options = {}) {
+    return imageQueue.add(() => execAsync(cmd, options));
+}
+
+// Summarize image processing progress on a single line instead of logging every file
+function createProgress(total) {
+    const counts = { generated: 0, cached: 0, adopted: 0, failed: 0 };
+    let done = 0;
+    let lastReportedStep = 0;
+    const interactive = process.stdout.isTTY;
+
+    const format = () => {
+        const details = Object.keys(counts).filter(key => counts[key] > 0).map(key => `${counts[key]} ${key}`);
+        return `\tImages: ${done}/${total}${details.length ? ` (${details.join(', ')})` : ''}`;
+    };
+
+    return {
+        tick(status) {
+            counts[status]++;
+            done++;
+            if (interactive) {
+                process.stdout.write(`\r${format()}`);
+            } else if (Math.floor(done * 10 / total) > lastReportedStep || done === total) {
+                // Without a terminal, report in steps of 10% to keep CI logs short
+                lastReportedStep = Math.floor(done * 10 / total);
+                console.log(format());
+            }
+        },
+        finish() {
+            if (interactive && total > 0) {
+                process.stdout.write('\n');
+            }
+            return counts;
+        }
+    };
 }
 
 // Copy static assets
@@ -115,8 +503,83 @@ function copyStaticAssets() {
     }
 }
 
+// Copy the theme's scripts to build/js with a content hash in their filename, like main.css
+function copyThemeScripts() {
+    ensureDirExists(path.join(BUILD, 'js'));
+    THEME_SCRIPTS.forEach(name => {
+        const scriptSource = resolveTemplatePath(`scripts/${name}.js`);
+        const scriptContent = fs.readFileSync(scriptSource, 'utf8');
+        const hash = crypto.createHash('md5').update(scriptContent).digest('hex').substring(0, 8);
+        scriptFilenames[name] = `${name}-${hash}.js`;
+        fs.writeFileSync(path.join(BUILD, 'js', scriptFilenames[name]), scriptContent);
+    });
+
+    // Clean up the hashed copies of earlier versions, like old CSS
+    const currentScripts = new Set(Object.values(scriptFilenames));
+    fs.readdirSync(path.join(BUILD, 'js')).forEach(file => {
+        if (/-[0-9a-f]{8}\.js$/.test(file) && !currentScripts.has(file)) {
+            fs.unlinkSync(path.join(BUILD, 'js', file));
+            console.log(`Removed old script: ${file}`);
+        }
+    });
+}
+
+// Copy the theme's stylesheet to build/css with a content hash in its filename, like main.css
+function copyThemeStylesheet() {
+    ensureDirExists(path.join(BUILD, 'css'));
+    const stylesheetContent = fs.readFileSync(resolveTemplatePath('theme.css'), 'utf8');
+    const hash = crypto.createHash('md5').update(stylesheetContent).digest('hex').substring(0, 8);
+    themeCssFilename = `theme-${hash}.css`;
+    fs.writeFileSync(path.join(BUILD, 'css', themeCssFilename), stylesheetContent);
+
+    fs.readdirSync(path.join(BUILD, 'css')).forEach(file => {
+        if (/^theme-[0-9a-f]{8}\.css$/.test(file) && file !== themeCssFilename) {
+            fs.unlinkSync(path.join(BUILD, 'css', file));
+            console.log(`Removed old theme CSS: ${file}`);
+        }
+    });
+}
+
+// Find a template in the active theme, falling back to the default theme
+function resolveTemplatePath(name) {
+    const templatePath = THEME_DIRS.map(dir => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (!templatePath) {
+        throw new Error(`Template "${name}" not found in ${THEME_DIRS.join(' or ')}`);
+    }
+    return templatePath;
+}
+
+function loadTemplate(name) {
+    if (!templateCache[name]) {
+        templateCache[name] = _.template(fs.readFileSync(resolveTemplatePath(name), 'utf8'));
+    }
+    return templateCache[name];
+}
+
+// Render a theme template; `partial(name, data)` renders partials/<name>.html with the same data plus `data`
+function renderTemplate(name, data = {}) {
+    const lang = data.lang || SITE_LANGUAGE;
+    const context = {
+        site: config,
+        siteConfig,
+        typogrify: typogr.typogrify,
+        draftLabel: getDraftLabel,
+        obfuscateEmail,
+        cdata: wrapCdata,
+        // URLs carry slugs and image filenames, so an & must be encoded in attributes and XML
+        escapeUrl: escapeHtml,
+        moment,
+        lang,
+        t: text => translate(lang, text),
+        homeUrl: `/${getLanguagePath(lang)}`,
+        ...data
+    };
+    context.partial = (partialName, extra = {}) => renderTemplate(`partials/${partialName}.html`, { ...data, ...extra });
+    return loadTemplate(name)(context);
+}
+
 // Generate HTML for the main layout
-function generateLayout(title, content, bodyClass = '', canonicalUrl = '', socialMeta = {}, isHomepage = false) {
+function generateLayout(title, content, bodyClass = '', canonicalUrl = '', socialMeta = {}, isHomepage = false, options = {}) {
     // Default social media metadata
     const defaultMeta = {
         title: title,
@@ -129,57 +592,33 @@ function generateLayout(title, content, bodyClass = '', canonicalUrl = '', socia
     
     // Merge with provided social media metadata
     const meta = { ...defaultMeta, ...socialMeta };
+    meta.imageUrl = meta.image.startsWith('http') ? meta.image : (meta.type === 'article' ? meta.url + meta.image : config.url + meta.image.replace(/^\//, ''));
     
-    // Generate Open Graph and Twitter meta tags
-    const socialMetaTags = `
-    <meta property="og:type" content="${meta.type}">
-    <meta property="og:url" content="${meta.url}">
-    <meta property="og:title" content="${meta.title}">
-    <meta property="og:description" content="${meta.description}">
-    <meta property="og:image" content="${meta.image.startsWith('http') ? meta.image : (meta.type === 'article' ? meta.url + meta.image : config.url + meta.image.replace(/^\//, ''))}">
-    <meta property="og:site_name" content="${meta.siteName}">
-    <meta property="og:locale" content="en_US">
-
-    <meta property="twitter:card" content="summary_large_image">
-    <meta property="twitter:url" content="${meta.url}">
-    <meta property="twitter:title" content="${meta.title}">
-    <meta property="twitter:description" content="${meta.description}">
-    <meta property="twitter:image" content="${meta.image.startsWith('http') ? meta.image : (meta.type === 'article' ? meta.url + meta.image : config.url + meta.image.replace(/^\//, ''))}">`;
-    
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="utf-8">
-    <meta http-equiv="X-UA-Compatible" content="IE=edge,chrome=1">
-    <meta name="viewport" content="width=device-width">
-    <meta name="description" content="${meta.description}">
-    <title>${title}</title>
-    <link rel="alternate" href="${config.url}feed.xml" type="application/rss+xml" title="${config.description}">
-    ${canonicalUrl ? `<link rel="canonical" href="${canonicalUrl}">` : ''}
-    <link rel="stylesheet" href="/css/${cssFilename}">
-    ${socialMetaTags}
-</head>
-<body${bodyClass ? ` class="${bodyClass}"` : ''}>
-    <header id="site-header">
-        <a href="/"><h2>${config.name}</h2></a>
-        <a href="/"><img alt='mijnrealiteit logo' src="${config.logo}"></a>
-    </header>
-    <div id="main">
-        <div id="content">
-            ${content}
-        </div>
-    </div>
-    ${isHomepage ? `<script>
-    const contact = 'bW' + 'LQBN'.toLowerCase() + 'JlYWxpdGVpdEBtdnIubWU=';
-    window.onload = () => {
-      const link = document.getElementById('email')
-      const emailAddress = atob(contact);
-      link.href = 'mailto:' + emailAddress;
-    }
-  </script>` : ''}
-
-</body>
-</html>`;
+    const lang = options.lang || SITE_LANGUAGE;
+    return renderTemplate('layout.html', {
+        title,
+        content,
+        bodyClass,
+        canonicalUrl,
+        meta,
+        isHomepage,
+        lang,
+        ogLocale: getOgLocale(lang),
+        // hreflang links to the same page in other languages
+        alternates: options.alternates || [],
+        noindex: Boolean(options.noindex),
+        feeds: getFeedLinks(getLanguagePath(lang), config.description).concat(options.feeds || []),
+        scripts: (options.scripts || []).map(name => `/js/${scriptFilenames[name]}`),
+        cssFilename,
+        themeCssFilename
+    });
+}
+
+// Encode an email address as a JS expression so it does not appear in the HTML as plain text
+function obfuscateEmail(email) {
+    const encoded = Buffer.from(email).toString('base64');
+    const chunks = encoded.match(/.{1,6}/g).map(chunk => `'${chunk}'`);
+    return `[${chunks.reverse().join(', ')}].reverse().join('')`;
 }
 
 // Utilities
@@ -189,22 +628,73 @@ function ensureDirExists(dirPath) {
     }
 }
 
+// Source image formats by lowercase extension. Formats that can be animated keep their animation
+// in the WebP variant, formats with transparency keep it in the WebP and AVIF variants
+const IMAGE_FORMATS = {
+    '.jpg': { name: 'JPEG' },
+    '.jpeg': { name: 'JPEG' },
+    '.png': { name: 'PNG', alpha: true },
+    '.gif': { name: 'GIF', alpha: true, animated: true },
+    '.tif': { name: 'TIFF', alpha: true },
+    '.tiff': { name: 'TIFF', alpha: true },
+    '.heic': { name: 'HEIC' },
+    '.heif': { name: 'HEIF' },
+    '.webp': { name: 'WebP', alpha: true, animated: true }
+};
+
+// Camera RAW files and their sidecars, which often sit next to the exported photos; like any unsupported
+// file they are not published, but they are reported together rather than one warning per file
+const RAW_FILE_PATTERN = /\.(?:arw|cr2|cr3|dng|nef|nrw|orf|pef|raf|raw|rw2|srw|xmp)$/i;
+
+// Format of a source image, matched case-insensitively, or null when the file is not a supported image
+function getImageFormat(file) {
+    return IMAGE_FORMATS[path.extname(file).toLowerCase()] || null;
+}
+
+// Whether a file in an article directory is a source image
+function isImageFile(file) {
+    return getImageFormat(file) !== null;
+}
+
+// Files in an article directory that the build does not publish: anything but its markdown,
+// source images and hidden files
+function getUnsupportedFiles(articleDir) {
+    return fs.readdirSync(articleDir).filter(file =>
+        !file.startsWith('.') && file !== 'index.md' && !getTranslationLanguage(file) && !isImageFile(file) &&
+        fs.statSync(path.join(articleDir, file)).isFile()
+    );
+}
+
+// Collect every image in markdown content as { href, text (alt), title }
+function extractMarkdownImages(markdownContent) {
+    const images = [];
+    marked.walkTokens(marked.lexer(markdownContent), token => {
+        if (token.type === 'image') {
+            images.push({ href: token.href, text: token.text, title: token.title });
+        }
+    });
+    return images;
+}
+
 // Extract the first image that appears in markdown content
 function extractFirstImageFromMarkdown(markdownContent) {
-    // Look for markdown image syntax: ![alt text](image.jpg)
-    const imageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-    const matches = [];
-    let match;
-    
-    while ((match = imageRegex.exec(markdownContent)) !== null) {
-        matches.push({
-            alt: match[1],
-            filename: match[2]
-        });
-    }
-    
+    const images = extractMarkdownImages(markdownContent);
+
     // Return the first image found, or null if none
-    return matches.length > 0 ? matches[0].filename : null;
+    return images.length > 0 ? images[0].href : null;
+}
+
+// Plain text of a markdown body: images, gallery fences, HTML tags, link targets and formatting removed
+function stripMarkdown(markdownContent) {
+    return markdownContent
+        .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '') // Remove image syntax
+        .replace(/^:::.*$/gm, '') // Remove gallery fences
+        .replace(/<[^>]*>/g, '') // Remove HTML tags
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Keep only the text of links
+        .replace(/^ {0,3}(?:#{1,6}|>|[-*+]|\d+\.)[ \t]+/gm, '') // Remove heading, quote and list markers
+        .replace(/(\*\*|__|\*|_|~~|`)(\S(?:[\s\S]*?\S)?)\1/g, '$2') // Remove emphasis and code marks
+        .replace(/\s+/g, ' ') // Normalize whitespace
+        .trim();
 }
 
 // Extract description from markdown content
@@ -212,6 +702,7 @@ function extractDescriptionFromMarkdown(markdownContent, title) {
     // Remove markdown syntax and HTML tags
     let cleanContent = markdownContent
         .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '') // Remove image syntax
+        .replace(/^:::.*$/gm, '') // Remove gallery fences
         .replace(/<[^>]*>/g, '') // Remove HTML tags
         .replace(/\n+/g, ' ') // Replace newlines with spaces
         .replace(/\s+/g, ' ') // Normalize whitespace
@@ -243,13 +734,13 @@ function extractDescriptionFromMarkdown(markdownContent, title) {
 
 // Generate navigation from articles
 function generateNavigation() {
-    const articles = getArticles();
+    const articles = getListedArticles(getArticles());
     return articles.map(article => 
-        `<li><a href="${article.url}">${article.title}</a></li>`
+        `<li><a href="${article.url}">${escapeHtml(article.title)}</a></li>`
     ).join('');
 }
 
-// Get all articles sorted by date
+// Get all articles, including translations, sorted by date
 function getArticles() {
     const articles = [];
     const articleDirs = fs.readdirSync(RAW_ARTICLES).filter(name => {
@@ -260,50 +751,30 @@ function getArticles() {
     articleDirs.forEach(dir => {
         const indexPath = path.join(RAW_ARTICLES, dir, 'index.md');
         if (fs.existsSync(indexPath)) {
+            warnAboutUnsupportedFiles(dir);
             const content = fs.readFileSync(indexPath, 'utf8');
             const { attributes, body } = frontMatter(content);
-            
-            // Get article images for featured image fallback
-            const articleDir = path.join(RAW_ARTICLES, dir);
-            const files = fs.readdirSync(articleDir);
-            const imageFiles = files.filter(file => 
-                file.endsWith('.jpg') || file.endsWith('.jpeg') || file.endsWith('.png') || file.endsWith('.gif')
-            );
-            
-            // Extract first image from markdown content, fallback to first image file
-            const firstImageFromContent = extractFirstImageFromMarkdown(body);
-            const firstImage = firstImageFromContent || (imageFiles.length > 0 ? imageFiles[0] : null);
-            
-            // Get image metadata (size and dimensions) for each image
-            const imageMetadata = imageFiles.map(imageFile => {
-                const imagePath = path.join(articleDir, imageFile);
-                try {
-                    const stats = fs.statSync(imagePath);
-                    return {
-                        filename: imageFile,
-                        size: stats.size,
-                        // We'll get dimensions in the RSS generation since we need ImageMagick
-                        path: imagePath
-                    };
-                } catch (error) {
-                    return {
-                        filename: imageFile,
-                        size: 0,
-                        path: imagePath
-                    };
+            const sourceHash = crypto.createHash('md5').update(content).digest('hex');
+            const primary = createArticle(dir, 'index.md', attributes, body, null, sourceHash);
+            articles.push(primary);
+
+            // Translations (index.<lang>.md) share the images of index.md and inherit its front matter
+            const versions = [primary];
+            fs.readdirSync(path.join(RAW_ARTICLES, dir)).forEach(file => {
+                const lang = getTranslationLanguage(file);
+                if (!lang || lang === primary.lang) {
+                    return;
                 }
+                const translationContent = fs.readFileSync(path.join(RAW_ARTICLES, dir, file), 'utf8');
+                const translation = frontMatter(translationContent);
+                // Translations inherit the front matter of index.md, so both files are inputs
+                const translationHash = crypto.createHash('md5').update(content).update(translationContent).digest('hex');
+                const article = createArticle(dir, file, { ...attributes, ...translation.attributes, lang }, translation.body, primary, translationHash);
+                versions.push(article);
+                articles.push(article);
             });
-            
-            articles.push({
-                title: attributes.title,
-                date: moment(attributes.date),
-                slug: dir,
-                url: `/articles/${dir}/`,
-                featured: attributes.featured || false,
-                description: extractDescriptionFromMarkdown(body, attributes.title),
-                image: firstImage,
-                images: imageFiles, // All images for multiple enclosures
-                imageMetadata: imageMetadata // Image metadata for enclosures
+            versions.forEach(article => {
+                article.translations = versions.filter(version => version !== article);
             });
         }
     });
@@ -312,134 +783,392 @@ function getArticles() {
     return articles.sort((a, b) => b.date - a.date);
 }
 
+// Describe the unsupported files of an article directory, one message per file except for camera RAW files
+// and sidecars, which are summarised in a single message
+function describeUnsupportedFiles(files) {
+    const rawFiles = files.filter(file => RAW_FILE_PATTERN.test(file));
+    const messages = files.filter(file => !RAW_FILE_PATTERN.test(file))
+        .map(file => `"${file}" is not a supported image and is not published`);
+    if (rawFiles.length > 0) {
+        const count = rawFiles.length === 1 ? '1 camera RAW or sidecar file' : `${rawFiles.length} camera RAW and sidecar files`;
+        messages.push(`${count} not published: ${rawFiles.join(', ')}`);
+    }
+    return messages;
+}
+
+// Messages already warned about, so a watch session repeats no warning on every rebuild
+const warnedUnsupportedFiles = new Set();
+
+// Warn once about the files in an article directory that will not be published
+function warnAboutUnsupportedFiles(dir) {
+    describeUnsupportedFiles(getUnsupportedFiles(path.join(RAW_ARTICLES, dir))).forEach(message => {
+        const warning = `Warning: ${dir}: ${message}`;
+        if (!warnedUnsupportedFiles.has(warning)) {
+            warnedUnsupportedFiles.add(warning);
+            console.warn(warning);
+        }
+    });
+}
+
+// Language of a translation file such as index.nl.md, or null for other files
+function getTranslationLanguage(file) {
+    const match = file.match(/^index\.([a-z]{2,3}(?:-[a-z]{2})?)\.md$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Build the article object for one language version of an article directory;
+// `primary` is the index.md version for translations and null for index.md itself
+function createArticle(dir, sourceFile, attributes, body, primary, sourceHash) {
+    const lang = String(attributes.lang || SITE_LANGUAGE).toLowerCase();
+
+    // Get article images for featured image fallback
+    const articleDir = path.join(RAW_ARTICLES, dir);
+    const files = fs.readdirSync(articleDir);
+    const imageFiles = files.filter(isImageFile);
+    
+    // Extract first image from markdown content, fallback to first image file
+    const firstImageFromContent = extractFirstImageFromMarkdown(body);
+    const firstImage = firstImageFromContent || (imageFiles.length > 0 ? imageFiles[0] : null);
+    // The homepage cover is the `cover` image when it exists, otherwise the first image
+    const cover = imageFiles.includes(attributes.cover) ? attributes.cover : firstImage;
+    
+    // Get image metadata (size and dimensions) for each image
+    const imageMetadata = imageFiles.map(imageFile => {
+        const imagePath = path.join(articleDir, imageFile);
+        try {
+            const stats = fs.statSync(imagePath);
+            return {
+                filename: imageFile,
+                size: stats.size,
+                // We'll get dimensions in the RSS generation since we need ImageMagick
+                path: imagePath
+            };
+        } catch (error) {
+            return {
+                filename: imageFile,
+                size: 0,
+                path: imagePath
+            };
+        }
+    });
+    
+    // Drafts and future-dated articles are built under an unlisted path until they are published
+    const publishDate = moment(attributes.publishDate || attributes.date);
+    const draft = attributes.draft === true;
+    const scheduled = publishDate.isAfter(moment());
+    const published = !draft && !scheduled;
+    // Translations live under their language, e.g. /nl/articles/<slug>/
+    const languagePrefix = primary ? `${lang}/` : '';
+    const articlePath = `${languagePrefix}${published ? `articles/${dir}/` : `drafts/${dir}-${getDraftToken(dir)}/`}`;
+    // Images are only processed once, into the directory of index.md
+    const assetPath = primary ? primary.path : articlePath;
+    
+    return {
+        title: attributes.title,
+        date: moment(attributes.date).lang(getMomentLang(lang)),
+        // Date of the last meaningful edit, set by hand in the front matter
+        updated: attributes.updated ? moment(attributes.updated) : null,
+        publishDate,
+        draft,
+        scheduled,
+        published,
+        slug: dir,
+        lang,
+        source: sourceFile,
+        sourceHash,
+        body,
+        isTranslation: Boolean(primary),
+        path: articlePath,
+        url: `/${articlePath}`,
+        assetPath,
+        assetUrl: `/${assetPath}`,
+        featured: attributes.featured || false,
+        tags: parseTags(attributes.tags),
+        exif: {
+            captions: typeof attributes.exif === 'boolean' ? attributes.exif : EXIF_CAPTIONS,
+            gps: typeof attributes.exifGps === 'boolean' ? attributes.exifGps : EXIF_GPS
+        },
+        lightbox: typeof attributes.lightbox === 'boolean' ? attributes.lightbox : LIGHTBOX,
+        location: parseLocation(attributes.location),
+        locationFromGps: typeof attributes.locationFromGps === 'boolean' ? attributes.locationFromGps : LOCATION_FROM_GPS,
+        description: extractDescriptionFromMarkdown(body, attributes.title),
+        image: firstImage,
+        cover,
+        coverFocus: parseFocalPoint(attributes.coverFocus) || parseFocalPoint(),
+        images: imageFiles, // All images for multiple enclosures
+        imageMetadata: imageMetadata, // Image metadata for enclosures
+        translations: []
+    };
+}
+
+// Load moment's month and day names for a language once and return the name to format dates with;
+// languages moment has no translations for are formatted in English
+const momentLangs = {};
+function getMomentLang(lang) {
+    if (!(lang in momentLangs)) {
+        momentLangs[lang] = 'en';
+        for (const candidate of [lang, lang.split('-')[0]]) {
+            try {
+                require(`moment/lang/${candidate}`);
+                momentLangs[lang] = candidate;
+                break;
+            } catch (error) {
+                // Try the base language next
+            }
+        }
+        // Loading a language also makes it moment's global default; keep that English
+        moment.lang('en');
+    }
+    return momentLangs[lang];
+}
+
+// Open Graph locale for a language code, e.g. "nl" -> "nl_NL" and "en-gb" -> "en_GB"
+function getOgLocale(lang) {
+    const [language, region] = lang.split('-');
+    return `${language}_${(region || OG_DEFAULT_REGIONS[language] || language).toUpperCase()}`;
+}
+const OG_DEFAULT_REGIONS = { en: 'us', da: 'dk', el: 'gr', ja: 'jp', ko: 'kr', sv: 'se', uk: 'ua', zh: 'cn' };
+
+// Path prefix of a language's homepage and feeds: '' for the site language, 'nl/' for others
+function getLanguagePath(lang) {
+    return lang === SITE_LANGUAGE ? '' : `${lang}/`;
+}
+
+// Languages that have listed articles, starting with the site language
+function getLanguages(articles) {
+    return _.uniq([SITE_LANGUAGE, ...articles.map(article => article.lang)]);
+}
+
+// One version of every story for pages shared by all languages (tags, places): the site language
+// version when there is one, otherwise the index.md version
+function getSiteLanguageVersions(articles) {
+    return articles.filter(article => {
+        if (article.lang === SITE_LANGUAGE) {
+            return true;
+        }
+        const versions = [article, ...article.translations].filter(version => articles.includes(version));
+        return !versions.some(version => version.lang === SITE_LANGUAGE) && !article.isTranslation;
+    });
+}
+
+// Translate an interface string of the theme into a language, using the theme's i18n/<lang>.json;
+// strings are keyed by their English text, which is also the fallback
+function translate(lang, text) {
+    const cacheKey = `i18n/${lang}.json`;
+    if (!(cacheKey in templateCache)) {
+        const stringsPath = THEME_DIRS.map(dir => path.join(dir, cacheKey)).find(candidate => fs.existsSync(candidate));
+        templateCache[cacheKey] = stringsPath ? JSON.parse(fs.readFileSync(stringsPath, 'utf8')) : {};
+    }
+    return templateCache[cacheKey][text] || text;
+}
+
+// Normalise a tag name into a URL slug so "Japan" and "japan" share a page
+function normalizeTag(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Drop diacritics
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Parse the `tags` front matter field (list or comma separated string) into { name, slug } pairs
+function parseTags(value) {
+    if (!value) {
+        return [];
+    }
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    const tags = [];
+    names.forEach(name => {
+        const trimmed = String(name).trim();
+        const slug = normalizeTag(trimmed);
+        if (slug && !tags.some(tag => tag.slug === slug)) {
+            tags.push({ name: trimmed, slug });
+        }
+    });
+    return tags;
+}
+
+// Group articles by tag slug; the most common spelling of a tag is used as its display name
+function groupArticlesByTag(articles) {
+    const groups = {};
+    articles.forEach(article => {
+        article.tags.forEach(tag => {
+            const group = groups[tag.slug] || (groups[tag.slug] = { slug: tag.slug, spellings: {}, articles: [] });
+            group.spellings[tag.name] = (group.spellings[tag.name] || 0) + 1;
+            group.articles.push(article);
+        });
+    });
+    return Object.values(groups).map(group => ({
+        slug: group.slug,
+        name: _.max(Object.keys(group.spellings), spelling => group.spellings[spelling]),
+        url: `/tags/${group.slug}/`,
+        articles: group.articles
+    })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Articles that belong in indexes (homepage, feeds); unpublished ones only with --drafts
+function getListedArticles(articles) {
+    return articles.filter(article => article.published || INCLUDE_DRAFTS);
+}
+
+// Stable, hard-to-guess suffix for the unlisted URL of an unpublished article
+function getDraftToken(slug) {
+    return crypto.createHash('md5').update(`draft:${config.url}${slug}`).digest('hex').substring(0, 10);
+}
+
+// Label shown next to unpublished articles in lists when building with --drafts
+function getDraftLabel(article) {
+    if (article.published) {
+        return '';
+    }
+    return article.draft ? 'draft' : `scheduled for ${article.publishDate.format('YYYY-MM-DD')}`;
+}
+
+// Dimensions of the first frame of a source image, and whether the image is animated or has transparent pixels
+async function readImageInfo(sourcePath) {
+    const format = getImageFormat(sourcePath) || {};
+    const { stdout } = await runImageCommand(`identify -format "%wx%h %[opaque]\\n" "${sourcePath}[0]"`);
+    const [size, opaque] = stdout.trim().split(' ');
+    const [width, height] = size.split('x').map(Number);
+    let frames = 1;
+    if (format.animated) {
+        // identify prints a line per frame
+        const { stdout: frameList } = await runImageCommand(`identify -format "%p\\n" "${sourcePath}"`);
+        frames = frameList.trim().split('\n').length;
+    }
+    return {
+        width,
+        height,
+        animated: frames > 1,
+        transparent: Boolean(format.alpha) && opaque === 'False'
+    };
+}
+
+// Whether cached variants were made knowing whether the image is animated or transparent. Entries from before
+// that was recorded are kept for images that are neither, and regenerated for the ones that were flattened
+async function isImageInfoCurrent(cached, sourcePath, articleSlug, imageFileName) {
+    const format = getImageFormat(imageFileName) || {};
+    if (!cached.original || 'transparent' in cached.original || (!format.alpha && !format.animated)) {
+        return true;
+    }
+    const info = await readImageInfo(sourcePath);
+    if (info.animated || info.transparent) {
+        return false;
+    }
+    updateImageCacheMetadata(articleSlug, imageFileName, { original: info });
+    return true;
+}
+
+// Convert options for one variant: animated images keep every frame in WebP and use their first frame elsewhere,
+// and transparent images are flattened onto white for JPG, which has no alpha channel
+function getVariantConvertOptions(sourcePath, info, format, colorOptions) {
+    if (info.animated && format === 'webp') {
+        return `"${sourcePath}" -coalesce ${colorOptions}`;
+    }
+    const flatten = info.transparent && format === 'jpg' ? ' -background white -alpha remove -alpha off' : '';
+    return `"${sourcePath}[0]" ${colorOptions}${flatten}`;
+}
+
+// Variant formats for an image; AVIF cannot hold an animation, so animated images only get WebP and a still JPG
+function getVariantFormats(info) {
+    return info.animated ? ['jpg', 'webp'] : ['jpg', 'webp', 'avif'];
+}
+
 // Generate multiple responsive variants (JPG, WEBP, AVIF) for an image
-async function generateImageVariants(sourcePath, destDir, articleSlug, imageFileName) {
+async function generateImageVariants(sourcePath, destDir, articleSlug, imageFileName, progress, settings = getImageProcessingSettings()) {
     try {
-        // Load cache and return immediately if we already have variants (and not forcing)
-        const cache = IMAGE_CACHE || loadImageCache();
+        // Reuse cached variants when neither the source bytes nor the processing settings changed
+        const cache = getImageCache();
         const cacheKey = getImageCacheKey(articleSlug, imageFileName);
         const cached = cache.images[cacheKey];
-        if (!FORCE_OVERWRITE && cached && cached.variants && Object.keys(cached.variants).length > 0) {
-            console.log(`\tSKIPPING variants ${articleSlug}/${imageFileName}`);
-            const widths = Object.keys(cached.variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
-            const largestWidth = widths.length ? widths[widths.length - 1] : (cached.original && cached.original.width) || 0;
-            const largestJpg = widths.length ? cached.variants[largestWidth].jpg.filename : imageFileName;
-            return { variants: cached.variants, largestWidth, largestJpgFilename: largestJpg };
+        // Like deploy, only hash a source again when its size or modification time changed
+        const sourceStats = fs.statSync(sourcePath);
+        const sourceFile = { size: sourceStats.size, mtimeMs: sourceStats.mtimeMs };
+        const sourceHash = cached && cached.sourceHash && _.isEqual(cached.sourceFile, sourceFile)
+            ? cached.sourceHash
+            : await hashFile(sourcePath);
+        // The source profile only depends on the source bytes, so it is only read again when those changed
+        const sourceProfile = cached && cached.sourceHash === sourceHash && cached.colorProfile
+            ? cached.colorProfile.source
+            : await readColorProfile(sourcePath);
+        const colorProfile = { source: sourceProfile, variants: getOutputProfiles(sourceProfile) };
+
+        if (!FORCE_OVERWRITE && cached && cached.variants && Object.keys(cached.variants).length > 0 && variantFilesExist(cached.variants, destDir) &&
+            isColorProfileCurrent(cached.colorProfile && cached.colorProfile.variants, sourceProfile) &&
+            await isImageInfoCurrent(cached, sourcePath, articleSlug, imageFileName)) {
+            if (!cached.sourceHash && variantsNewerThanSource(cached.variants, destDir, sourcePath)) {
+                // Variants from before content hashing that were made after the last edit of the source:
+                // trust them once and record the current hash. Older ones are regenerated below
+                adoptCachedVariants(articleSlug, imageFileName, sourceHash, settings);
+                updateImageCacheMetadata(articleSlug, imageFileName, { colorProfile, sourceFile });
+                await ensureImageMetadata(sourcePath, articleSlug, imageFileName);
+                progress.tick('adopted');
+                return summarizeVariants(cached.variants, imageFileName);
+            }
+            if (cached.sourceHash === sourceHash && _.isEqual(cached.settings, settings)) {
+                if (!cached.colorProfile || !_.isEqual(cached.sourceFile, sourceFile)) {
+                    updateImageCacheMetadata(articleSlug, imageFileName, { colorProfile, sourceFile });
+                }
+                await ensureImageMetadata(sourcePath, articleSlug, imageFileName);
+                progress.tick('cached');
+                return summarizeVariants(cached.variants, imageFileName);
+            }
         }
 
         // Proceed with generation path: now we may need filesystem and identify
         ensureDirExists(destDir);
 
-        const { stdout } = await execAsync(`identify -format "%wx%h" "${sourcePath}"`);
-        const [origWidth, origHeight] = stdout.trim().split('x').map(Number);
+        const info = await readImageInfo(sourcePath);
+        const { width: origWidth, height: origHeight } = info;
 
         // Determine target widths we can actually generate
-        let widthsToGenerate = TARGET_WIDTHS.filter(w => w <= origWidth);
+        let widthsToGenerate = settings.widths.filter(w => w <= origWidth);
         if (widthsToGenerate.length === 0) {
             // If the original is smaller than the smallest target, just use original width once
             widthsToGenerate = [origWidth];
         }
 
         const baseName = path.parse(imageFileName).name; // without extension
-        // Use current timestamp for cache-busting hash since we're generating new variants
-        const currentTimestamp = new Date().toISOString();
-        const cacheBustingHash = generateCacheBustingHash(currentTimestamp);
+        // Derive the cache-busting hash from the source bytes and settings, so unchanged images keep their URLs
+        const cacheBustingHash = generateCacheBustingHash(`${sourceHash}:${JSON.stringify(settings)}${getColorHashInput(colorProfile)}`);
         const variants = {};
 
-        // If not forcing and cache already has all target widths and formats, skip entirely
-        const cacheHasAllTargets = !FORCE_OVERWRITE && cached && cached.variants &&
-            widthsToGenerate.every(w => cached.variants[w] && cached.variants[w].jpg && cached.variants[w].webp && cached.variants[w].avif);
-
-        if (cacheHasAllTargets) {
-            console.log(`\tSKIPPING variants ${articleSlug}/${imageFileName}`);
-            const widths = Object.keys(cached.variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
-            const largestWidth = widths.length ? widths[widths.length - 1] : origWidth;
-            const largestJpg = widths.length ? cached.variants[largestWidth].jpg.filename : imageFileName;
-            return { variants: cached.variants, largestWidth, largestJpgFilename: largestJpg };
-        }
-
-        let anyGenerated = false;
+        // Queue every width x format conversion at once; the image queue bounds how many run in parallel
+        const conversions = [];
         for (const width of widthsToGenerate) {
             variants[width] = {};
-
-            // JPG
-            const jpgName = `${baseName}-${width}${cacheBustingHash}.jpg`;
-            const jpgPath = path.join(destDir, jpgName);
-            if (FORCE_OVERWRITE || !(cached && cached.variants && cached.variants[width] && cached.variants[width].jpg)) {
-                const jpgCmd = `convert "${sourcePath}" -resize ${width}x -quality ${JPEG_QUALITY} ${STRIP_METADATA ? '-strip ' : ''}"${jpgPath}"`;
-                console.log(`\tGENERATE JPG ${articleSlug}/${jpgName}`);
-                await execAsync(jpgCmd);
-                anyGenerated = true;
-            }
-            let jpgStats = null;
-            let jpgDims = null;
-            try {
-                jpgStats = fs.statSync(jpgPath);
-                jpgDims = await getImageDimensions(jpgPath);
-            } catch (_) {
-                // if generation was skipped but file not present (cache-only), we can't stat; rely on cache
-            }
-            variants[width].jpg = {
-                filename: jpgName,
-                size: (jpgStats && jpgStats.size) || (cached && cached.variants && cached.variants[width] && cached.variants[width].jpg && cached.variants[width].jpg.size) || 0,
-                width: (jpgDims && jpgDims.width) || (cached && cached.variants && cached.variants[width] && cached.variants[width].jpg && cached.variants[width].jpg.width) || width,
-                height: (jpgDims && jpgDims.height) || (cached && cached.variants && cached.variants[width] && cached.variants[width].jpg && cached.variants[width].jpg.height) || 0
-            };
-
-            // WEBP
-            const webpName = `${baseName}-${width}${cacheBustingHash}.webp`;
-            const webpPath = path.join(destDir, webpName);
-            if (FORCE_OVERWRITE || !(cached && cached.variants && cached.variants[width] && cached.variants[width].webp)) {
-                const webpCmd = `convert "${sourcePath}" -resize ${width}x -quality ${WEBP_QUALITY} ${STRIP_METADATA ? '-strip ' : ''}"${webpPath}"`;
-                console.log(`\tGENERATE WEBP ${articleSlug}/${webpName}`);
-                await execAsync(webpCmd);
-                anyGenerated = true;
-            }
-            let webpStats = null;
-            try { webpStats = fs.statSync(webpPath); } catch (_) {}
-            variants[width].webp = {
-                filename: webpName,
-                size: (webpStats && webpStats.size) || (cached && cached.variants && cached.variants[width] && cached.variants[width].webp && cached.variants[width].webp.size) || 0
-            };
-
-            // AVIF
-            const avifName = `${baseName}-${width}${cacheBustingHash}.avif`;
-            const avifPath = path.join(destDir, avifName);
-            if (FORCE_OVERWRITE || !(cached && cached.variants && cached.variants[width] && cached.variants[width].avif)) {
-                const avifCmd = `convert "${sourcePath}" -resize ${width}x -quality ${AVIF_QUALITY} ${STRIP_METADATA ? '-strip ' : ''}"${avifPath}"`;
-                console.log(`\tGENERATE AVIF ${articleSlug}/${avifName}`);
-                await execAsync(avifCmd);
-                anyGenerated = true;
-            }
-            let avifStats = null;
-            try { avifStats = fs.statSync(avifPath); } catch (_) {}
-            variants[width].avif = {
-                filename: avifName,
-                size: (avifStats && avifStats.size) || (cached && cached.variants && cached.variants[width] && cached.variants[width].avif && cached.variants[width].avif.size) || 0
-            };
-        }
-
-        // Note: no explicit skip log here; skip handled by cacheHasAllTargets branch above
-
-        // Decide whether to update cache and what to return
-        if (anyGenerated) {
-            const largestWidth = Math.max(...Object.keys(variants).map(n => parseInt(n, 10)));
-            const largestJpg = variants[largestWidth].jpg;
-            updateImageCacheWithVariants(articleSlug, imageFileName, destDir, { width: origWidth, height: origHeight }, variants, largestWidth, largestJpg.size);
-            return { variants, largestWidth, largestJpgFilename: largestJpg.filename };
-        } else {
-            // Use cached variants for return without updating cache
-            if (cached && cached.variants) {
-                const widths = Object.keys(cached.variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
-                const largestWidth = widths.length ? widths[widths.length - 1] : origWidth;
-                const largestJpg = widths.length ? cached.variants[largestWidth].jpg.filename : imageFileName;
-                return { variants: cached.variants, largestWidth, largestJpgFilename: largestJpg };
+            for (const format of getVariantFormats(info)) {
+                const filename = `${baseName}-${width}${cacheBustingHash}.${format}`;
+                const outputPath = path.join(destDir, filename);
+                const colorOptions = getColorManagedOptions(sourceProfile, colorProfile.variants[format], `-resize ${width}x`, settings.strip);
+                const cmd = `convert ${getVariantConvertOptions(sourcePath, info, format, colorOptions)} -quality ${settings.quality[format]} "${outputPath}"`;
+                conversions.push(runImageCommand(cmd).then(async () => {
+                    variants[width][format] = {
+                        filename,
+                        size: fs.statSync(outputPath).size
+                    };
+                    if (format === 'jpg') {
+                        const { stdout: dims } = await runImageCommand(`identify -format "%wx%h" "${outputPath}"`);
+                        const [jpgWidth, jpgHeight] = dims.trim().split('x').map(Number);
+                        variants[width].jpg.width = jpgWidth || width;
+                        variants[width].jpg.height = jpgHeight || 0;
+                    }
+                }));
             }
-            // No cache present, return computed variants (should not happen if skipped), no cache write
-            const largestWidth = Math.max(...Object.keys(variants).map(n => parseInt(n, 10)));
-            const largestJpg = variants[largestWidth] && variants[largestWidth].jpg ? variants[largestWidth].jpg.filename : imageFileName;
-            return { variants, largestWidth, largestJpgFilename: largestJpg };
         }
+        // The blurred placeholder would show through transparent pixels, so transparent images get none
+        const [exif, placeholder] = await Promise.all([
+            readExifMetadata(sourcePath),
+            info.transparent ? null : createImagePlaceholder(sourcePath, sourceProfile),
+            ...conversions
+        ]);
+
+        const { largestWidth, largestJpgFilename } = summarizeVariants(variants, imageFileName);
+        updateImageCacheWithVariants(articleSlug, imageFileName, destDir, info, variants, largestWidth, variants[largestWidth].jpg.size, sourceHash, settings);
+        updateImageCacheMetadata(articleSlug, imageFileName, { exif, placeholder, colorProfile, sourceFile });
+        progress.tick('generated');
+        return { variants, largestWidth, largestJpgFilename };
     } catch (error) {
         console.error(`Error generating variants for ${articleSlug}/${imageFileName}:`, error.message);
         // Fallback: copy original as-is to destination directory
@@ -448,65 +1177,675 @@ async function generateImageVariants(sourcePath, destDir, articleSlug, imageFile
         const stats = fs.statSync(destOriginal);
         const dims = await getImageDimensions(destOriginal);
         updateImageCache(articleSlug, imageFileName, destOriginal, dims, stats.size);
+        progress.tick('failed');
         return { variants: {}, largestWidth: dims.width, largestJpgFilename: imageFileName };
     }
 }
 
-// Build the main page
-function buildMainPage() {
-    console.log('Building main page...');
-    
-    const aboutContent = `<div class="about">
-        <p>${typogr.typogrify("I'm Mike and sometimes I take pictures. My journey led met from Holland through Asia, and this captures a part of that journey.")}</p>
-        <p><a id='email' href="#">Contact me</a>.</p>
-    </div>`;
+// Focal point keywords accepted by `coverFocus`, as fractions of the width and height
+const FOCUS_KEYWORDS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
 
-    const articles = getArticles();
-    const featuredArticles = articles.filter(article => article.featured);
-    const featuredList = featuredArticles.map(article => `<li><a href="${article.url}">${article.date.format('YYYY-MM-DD')} - ${article.title}</a></li>`).join('');
-    const articlesList = articles.map(article => `<li><a href="${article.url}">${article.date.format('YYYY-MM-DD')} - ${article.title}</a></li>`).join('');
-
-    const mainContent = `
-        <article class="article">
-            <section class="content">${typogr.typogrify(aboutContent)}</section>
-            ${featuredArticles.length > 0 ? `
-            <section class="article-list">
-                <h2 class='center'>highlights</h2>
-                <nav>
-                    <ul>
-                        ${featuredList}
-                    </ul>
-                </nav>
-            </section>
-            ` : ''}
-            <section class="article-list">
-                <h2 class='center'>all stories</h2>
-                <nav>
-                    <ul>
-                        ${articlesList}
-                    </ul>
-                </nav>
-            </section>
-        </article>`;
-    const html = generateLayout(config.name, mainContent, '', `${config.url}`, {
-        title: config.name,
-        description: config.description,
-        image: config.logo,
-        type: 'website',
-        url: config.url
-    }, true);
-    
-    fs.writeFileSync(path.join(BUILD, 'index.html'), html);
+// Parse a `coverFocus` such as "30% 60%", "top" or "bottom right" into { x, y } fractions; null when invalid
+function parseFocalPoint(value) {
+    if (value === undefined || value === null || value === '') {
+        return { x: 0.5, y: 0.5 };
+    }
+    const parts = String(value).trim().toLowerCase().split(/[\s,]+/);
+    if (parts.length > 2) {
+        return null;
+    }
+    const focus = { x: 0.5, y: 0.5 };
+    for (const [index, part] of parts.entries()) {
+        const percentage = part.match(/^(\d+(?:\.\d+)?)%$/);
+        if (percentage && Number(percentage[1]) <= 100) {
+            // Percentages are "x% y%", like CSS object-position
+            focus[index === 0 ? 'x' : 'y'] = Number(percentage[1]) / 100;
+        } else if (part === 'left' || part === 'right') {
+            focus.x = FOCUS_KEYWORDS[part];
+        } else if (part === 'top' || part === 'bottom') {
+            focus.y = FOCUS_KEYWORDS[part];
+        } else if (part !== 'center') {
+            return null;
+        }
+    }
+    return focus;
 }
 
-// Add class="text" to paragraphs that contain text, but not to image-only paragraphs
-function addTextClassToParagraphs(html) {
-    return html.replace(/<p(\s[^>]*)?>([\s\S]*?)<\/p>/g, (match, attrs = '', inner) => {
-        const containsImageTag = /<(img|picture)\b/i.test(inner);
-        const strippedInnerText = inner.replace(/<[^>]*>/g, '').trim();
-        const isImageOnlyParagraph = containsImageTag && strippedInnerText.length === 0;
-
-        if (isImageOnlyParagraph) {
+// Crop rectangle of the given aspect ratio around a focal point, kept inside the image
+function getCoverCrop(width, height, aspect, focus) {
+    const [aspectWidth, aspectHeight] = aspect.split(':').map(Number);
+    const ratio = aspectWidth / aspectHeight;
+    const cropWidth = width / height > ratio ? Math.round(height * ratio) : width;
+    const cropHeight = width / height > ratio ? height : Math.round(width / ratio);
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+    return {
+        width: cropWidth,
+        height: cropHeight,
+        x: clamp(Math.round(focus.x * width - cropWidth / 2), width - cropWidth),
+        y: clamp(Math.round(focus.y * height - cropHeight / 2), height - cropHeight)
+    };
+}
+
+// Settings that affect cover thumbnails; a change here invalidates cached thumbnails
+function getCoverSettings(article) {
+    return {
+        aspect: COVER_ASPECT,
+        widths: COVER_WIDTHS,
+        focus: article.coverFocus,
+        quality: { jpg: JPEG_QUALITY, webp: WEBP_QUALITY, avif: AVIF_QUALITY },
+        strip: getImageProcessingSettings(article).strip,
+        colorManagement: COLOR_MANAGEMENT
+    };
+}
+
+// Generate cropped cover thumbnails for an article's cover image, cached under its image cache entry
+async function generateCoverThumbnails(article, destDir) {
+    const cacheKey = getImageCacheKey(article.slug, article.cover);
+    const cached = getImageCache().images[cacheKey];
+    const settings = getCoverSettings(article);
+    // Thumbnails are cut from the processed cover, so a cover that failed to process gets none
+    if (!cached || !cached.sourceHash || !cached.original || !cached.colorProfile) {
+        return;
+    }
+    const colorProfile = cached.colorProfile;
+    const thumbnails = cached.thumbnails;
+    if (!FORCE_OVERWRITE && thumbnails && thumbnails.sourceHash === cached.sourceHash &&
+        _.isEqual(thumbnails.settings, settings) && variantFilesExist(thumbnails.variants, destDir) &&
+        isColorProfileCurrent(thumbnails.colorProfiles, colorProfile.source)) {
+        return;
+    }
+
+    try {
+        const sourcePath = path.join(RAW_ARTICLES, article.slug, article.cover);
+        const { width, height } = cached.original;
+        const crop = getCoverCrop(width, height, settings.aspect, settings.focus);
+        const baseName = path.parse(article.cover).name;
+        const cacheBustingHash = generateCacheBustingHash(`${cached.sourceHash}:${JSON.stringify(settings)}${getColorHashInput(colorProfile)}`);
+        const variants = {};
+
+        // A crop narrower than every cover width still gets one thumbnail, at its own width
+        let thumbnailWidths = settings.widths.filter(w => w <= crop.width);
+        if (thumbnailWidths.length === 0) {
+            thumbnailWidths = [crop.width];
+        }
+
+        const conversions = [];
+        for (const thumbnailWidth of thumbnailWidths) {
+            const thumbnailHeight = Math.round(thumbnailWidth * crop.height / crop.width);
+            variants[thumbnailWidth] = {};
+            for (const format of ['jpg', 'webp', 'avif']) {
+                const filename = `${baseName}-cover-${thumbnailWidth}${cacheBustingHash}.${format}`;
+                const outputPath = path.join(destDir, filename);
+                const operations = `-crop ${crop.width}x${crop.height}+${crop.x}+${crop.y} +repage -resize ${thumbnailWidth}x${thumbnailHeight}!`;
+                const colorOptions = getColorManagedOptions(colorProfile.source, colorProfile.variants[format], operations, settings.strip);
+                // Thumbnails are stills, even of an animated cover
+                const cmd = `convert ${getVariantConvertOptions(sourcePath, { ...cached.original, animated: false }, format, colorOptions)} -quality ${settings.quality[format]} "${outputPath}"`;
+                conversions.push(runImageCommand(cmd).then(() => {
+                    variants[thumbnailWidth][format] = {
+                        filename,
+                        size: fs.statSync(outputPath).size,
+                        width: thumbnailWidth,
+                        height: thumbnailHeight
+                    };
+                }));
+            }
+        }
+        await Promise.all(conversions);
+        updateImageCacheMetadata(article.slug, article.cover, {
+            thumbnails: { sourceHash: cached.sourceHash, settings, colorProfiles: colorProfile.variants, variants }
+        });
+    } catch (error) {
+        console.error(`Error generating cover thumbnails for ${article.slug}/${article.cover}:`, error.message);
+    }
+}
+
+// Generate the cover thumbnails of the given articles; only needed for the homepage grid
+async function processCoverThumbnails(articles) {
+    if (HOME_LAYOUT !== 'grid') {
+        return;
+    }
+    await Promise.all(articles
+        .filter(article => article.cover && !article.isTranslation)
+        .map(article => generateCoverThumbnails(article, path.join(BUILD, article.assetPath))));
+}
+
+// Cover thumbnail of an article as srcsets per format, or null when it has none
+function getCoverThumbnail(article) {
+    if (HOME_LAYOUT !== 'grid') {
+        return null;
+    }
+    const cached = article.cover && getImageCache().images[getImageCacheKey(article.slug, article.cover)];
+    const variants = cached && cached.thumbnails && cached.thumbnails.variants;
+    if (!variants || Object.keys(variants).length === 0) {
+        return null;
+    }
+    const widths = Object.keys(variants).map(Number).sort((a, b) => a - b);
+    const makeSrcSet = format => widths.map(w => `${article.assetUrl}${variants[w][format].filename} ${w}w`).join(', ');
+    const smallest = variants[widths[0]].jpg;
+    return {
+        src: `${article.assetUrl}${smallest.filename}`,
+        width: smallest.width,
+        height: smallest.height,
+        srcset: { jpg: makeSrcSet('jpg'), webp: makeSrcSet('webp'), avif: makeSrcSet('avif') }
+    };
+}
+
+// Read capture metadata from a source image before variants are stripped of it
+async function readExifMetadata(sourcePath) {
+    try {
+        const { stdout } = await runImageCommand(`identify -format "%[EXIF:*]" "${sourcePath}[0]"`);
+        const tags = {};
+        stdout.split('\n').forEach(line => {
+            const match = line.match(/^exif:([^=]+)=(.*)$/);
+            if (match) {
+                tags[match[1].trim()] = match[2].trim();
+            }
+        });
+        return parseExifTags(tags);
+    } catch (error) {
+        // Images without EXIF (or formats identify cannot read) simply get no caption
+        return {};
+    }
+}
+
+// Evaluate an EXIF rational such as "28/10"
+function parseRational(value) {
+    if (!value) {
+        return null;
+    }
+    const [numerator, denominator] = value.split('/').map(Number);
+    const result = denominator ? numerator / denominator : numerator;
+    return Number.isFinite(result) ? result : null;
+}
+
+// Convert EXIF "deg/1, min/1, sec/100" plus a N/S/E/W reference into decimal degrees
+function parseGpsCoordinate(value, ref) {
+    if (!value) {
+        return null;
+    }
+    const [degrees, minutes = 0, seconds = 0] = value.split(',').map(part => parseRational(part.trim()));
+    if (degrees === null) {
+        return null;
+    }
+    const decimal = degrees + minutes / 60 + seconds / 3600;
+    return ref === 'S' || ref === 'W' ? -decimal : decimal;
+}
+
+// Map raw EXIF tags to the fields shown in captions
+function parseExifTags(tags) {
+    const make = tags.Make || '';
+    const model = tags.Model || '';
+    const exif = {};
+
+    // Models often repeat the make ("Canon EOS R5"), so only prefix it when missing
+    const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`;
+    if (camera.trim()) {
+        exif.camera = camera.trim();
+    }
+    if (tags.LensModel) {
+        exif.lens = tags.LensModel;
+    }
+    const focalLength = parseRational(tags.FocalLength);
+    if (focalLength) {
+        exif.focalLength = Math.round(focalLength);
+    }
+    const aperture = parseRational(tags.FNumber);
+    if (aperture) {
+        exif.aperture = Math.round(aperture * 10) / 10;
+    }
+    const exposure = parseRational(tags.ExposureTime);
+    if (exposure) {
+        exif.shutterSpeed = exposure >= 1 ? `${Math.round(exposure * 10) / 10}` : `1/${Math.round(1 / exposure)}`;
+    }
+    const iso = parseInt(tags.PhotographicSensitivity || tags.ISOSpeedRatings, 10);
+    if (iso) {
+        exif.iso = iso;
+    }
+    if (tags.DateTimeOriginal) {
+        const capturedAt = moment(tags.DateTimeOriginal, 'YYYY:MM:DD HH:mm:ss');
+        if (capturedAt.isValid()) {
+            exif.capturedAt = capturedAt.format('YYYY-MM-DDTHH:mm:ss');
+        }
+    }
+    const latitude = parseGpsCoordinate(tags.GPSLatitude, tags.GPSLatitudeRef);
+    const longitude = parseGpsCoordinate(tags.GPSLongitude, tags.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null) {
+        exif.gps = { latitude, longitude };
+    }
+    return exif;
+}
+
+// ICC profiles variants can be converted to, shipped in the theme's profiles/ directory
+const OUTPUT_PROFILES = {
+    'sRGB': 'sRGB.icc',
+    'Display P3': 'DisplayP3.icc'
+};
+
+// Names of embedded profiles with colours outside sRGB, e.g. "Adobe RGB (1998)" or "Display P3"
+const WIDE_GAMUT_PROFILE = /p3|adobe ?rgb|prophoto|2020|wide ?gamut/i;
+
+// Path of an output profile's ICC file; a theme can ship its own
+function getIccProfilePath(name) {
+    return resolveTemplatePath(`profiles/${OUTPUT_PROFILES[name]}`);
+}
+
+// Colourspace and embedded ICC profile name (null when there is none) of a source image
+async function readColorProfile(sourcePath) {
+    try {
+        const { stdout } = await runImageCommand(`identify -format "%[colorspace]|%[profile:icc]" "${sourcePath}[0]"`);
+        const [colorspace, name] = stdout.trim().split('|');
+        return { colorspace: colorspace || 'sRGB', name: name || null };
+    } catch (error) {
+        return { colorspace: 'sRGB', name: null };
+    }
+}
+
+// Whether the pixels have to be converted, rather than an sRGB profile (or none) simply being dropped
+function needsColorConversion(sourceProfile) {
+    return Boolean(sourceProfile.name && !/srgb/i.test(sourceProfile.name)) || sourceProfile.colorspace === 'CMYK';
+}
+
+// Output profile per format: JPG is always sRGB, and with images.wideGamut AVIF and WebP keep the colours
+// of wide-gamut photos in Display P3
+function getOutputProfiles(sourceProfile) {
+    const wide = WIDE_GAMUT && Boolean(sourceProfile.name) && WIDE_GAMUT_PROFILE.test(sourceProfile.name);
+    return { jpg: 'sRGB', webp: wide ? 'Display P3' : 'sRGB', avif: wide ? 'Display P3' : 'sRGB' };
+}
+
+// ImageMagick options that convert an image to an output profile and apply the resize `operations` in linear light.
+// Stripping removes the profile with the rest of the metadata, so a Display P3 output gets its profile back afterwards
+function getColorManagedOptions(sourceProfile, outputProfile, operations, strip) {
+    let conversion = '';
+    if (sourceProfile.name && needsColorConversion(sourceProfile)) {
+        conversion = `-profile "${getIccProfilePath(outputProfile)}" `;
+    } else if (sourceProfile.colorspace === 'CMYK') {
+        conversion = '-colorspace sRGB ';
+    }
+    const embed = strip && outputProfile !== 'sRGB' ? ` -profile "${getIccProfilePath(outputProfile)}"` : '';
+    return `${conversion}-colorspace RGB ${operations} -colorspace sRGB${strip ? ' -strip' : ''}${embed}`;
+}
+
+// Extra cache-busting input for converted images, so browsers never keep showing variants in the old colours
+function getColorHashInput(colorProfile) {
+    return needsColorConversion(colorProfile.source) ? `:${JSON.stringify(colorProfile.variants)}` : '';
+}
+
+// Whether variants made for a colour profile record still match the current policy; those made before colour
+// management were stripped without converting, which is only right for sRGB photos
+function isColorProfileCurrent(recorded, sourceProfile) {
+    return recorded
+        ? _.isEqual(recorded, getOutputProfiles(sourceProfile))
+        : !needsColorConversion(sourceProfile);
+}
+
+// Tiny blurred preview and average colour of an image, shown while its variants load
+async function createImagePlaceholder(sourcePath, sourceProfile = { colorspace: 'sRGB', name: null }) {
+    try {
+        // The colour ends up in CSS and the preview in a plain JPEG, so both are sRGB
+        const [{ stdout: color }, { stdout: thumbnail }] = await Promise.all([
+            runImageCommand(`convert "${sourcePath}[0]" ${getColorManagedOptions(sourceProfile, 'sRGB', '-resize 1x1!', false)} -format "%[hex:u]" info:`),
+            runImageCommand(`convert "${sourcePath}[0]" ${getColorManagedOptions(sourceProfile, 'sRGB', '-thumbnail 16x16', true)} -quality 50 jpg:-`, { encoding: 'buffer' })
+        ]);
+        return {
+            color: `#${color.trim().substring(0, 6).toLowerCase()}`,
+            image: `data:image/jpeg;base64,${thumbnail.toString('base64')}`
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Inline CSS background that shows a blurred placeholder behind an image until it has loaded
+function getPlaceholderStyle(placeholder, width, height) {
+    if (!placeholder) {
+        return '';
+    }
+    if (!placeholder.image) {
+        return `background-color: ${placeholder.color}`;
+    }
+    // Blur in SVG so the few pixels of the thumbnail don't show as blocks
+    const svg = `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${width} ${height}'>` +
+        `<filter id='b' color-interpolation-filters='sRGB'><feGaussianBlur stdDeviation='${Math.max(width, height) / 40}'/>` +
+        `<feComponentTransfer><feFuncA type='discrete' tableValues='1 1'/></feComponentTransfer></filter>` +
+        `<image width='100%' height='100%' preserveAspectRatio='none' filter='url(#b)' href='${placeholder.image}'/></svg>`;
+    // Percent-encode everything that would end the style attribute or the CSS url()
+    const svgUrl = `data:image/svg+xml,${svg.replace(/[<>#%'"()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+    return `background: ${placeholder.color} url('${svgUrl}') center / cover no-repeat`;
+}
+
+// Read EXIF and create placeholders for cached images that were processed before these were recorded
+async function ensureImageMetadata(sourcePath, articleSlug, imageFileName) {
+    const cached = getImageCache().images[getImageCacheKey(articleSlug, imageFileName)];
+    if (cached && !cached.exif) {
+        updateImageCacheMetadata(articleSlug, imageFileName, { exif: await readExifMetadata(sourcePath) });
+    }
+    if (cached && cached.placeholder === undefined) {
+        const placeholder = await createImagePlaceholder(sourcePath, cached.colorProfile && cached.colorProfile.source);
+        updateImageCacheMetadata(articleSlug, imageFileName, { placeholder });
+    }
+}
+
+// Format cached EXIF as a one-line caption; GPS is only included when explicitly enabled
+function formatExifCaption(exif, includeGps) {
+    if (!exif) {
+        return '';
+    }
+    const parts = [];
+    if (exif.camera) parts.push(exif.camera);
+    if (exif.lens) parts.push(exif.lens);
+    if (exif.focalLength) parts.push(`${exif.focalLength}mm`);
+    if (exif.aperture) parts.push(`ƒ/${exif.aperture}`);
+    if (exif.shutterSpeed) parts.push(`${exif.shutterSpeed}s`);
+    if (exif.iso) parts.push(`ISO ${exif.iso}`);
+    if (exif.capturedAt) parts.push(moment(exif.capturedAt).format('MMMM D, YYYY'));
+    if (includeGps && exif.gps) {
+        const { latitude, longitude } = exif.gps;
+        parts.push(`${Math.abs(latitude).toFixed(4)}° ${latitude < 0 ? 'S' : 'N'}, ${Math.abs(longitude).toFixed(4)}° ${longitude < 0 ? 'W' : 'E'}`);
+    }
+    return parts.join(' · ');
+}
+
+// Return the largest width and its JPG filename for a set of variants
+function summarizeVariants(variants, imageFileName) {
+    const widths = Object.keys(variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
+    const largestWidth = widths.length ? widths[widths.length - 1] : 0;
+    const largestJpgFilename = widths.length ? variants[largestWidth].jpg.filename : imageFileName;
+    return { variants, largestWidth, largestJpgFilename };
+}
+
+// Check that every cached variant file is still present in the build directory
+function variantFilesExist(variants, destDir) {
+    return Object.values(variants).every(formats =>
+        Object.values(formats).every(variant => fs.existsSync(path.join(destDir, variant.filename)))
+    );
+}
+
+// Settings that affect variant output; a change here invalidates cached variants.
+// Photos of articles that take their location from GPS are always stripped, so the exact spot never ships
+function getImageProcessingSettings(article) {
+    return {
+        widths: TARGET_WIDTHS,
+        quality: { jpg: JPEG_QUALITY, webp: WEBP_QUALITY, avif: AVIF_QUALITY },
+        strip: STRIP_METADATA || Boolean(article && article.locationFromGps),
+        // Variants made before colours were managed were resized in sRGB instead of linear light
+        colorManagement: COLOR_MANAGEMENT
+    };
+}
+
+// Build the main page
+function buildMainPage(allArticles = getArticles()) {
+    console.log('Building main page...');
+
+    const listed = getListedArticles(allArticles);
+    const languages = getLanguages(listed);
+    const homeAlternates = languages.map(lang => ({ lang, url: `${config.url}${getLanguagePath(lang)}` }));
+    const hasTags = listed.some(article => article.tags.length > 0);
+
+    // Every language gets its own homepage with the stories written in it
+    languages.forEach(lang => {
+        const homeUrl = `${config.url}${getLanguagePath(lang)}`;
+        const languageArticles = listed.filter(article => article.lang === lang);
+        const inputs = { languages, hasTags, articles: languageArticles.map(getArticleInputs) };
+        writePage(`${getLanguagePath(lang)}index.html`, inputs, () => {
+            // The grid layout shows each story's cropped cover thumbnail
+            const articles = languageArticles.map(article => ({
+                ...article,
+                coverThumbnail: HOME_LAYOUT === 'grid' ? getCoverThumbnail(article) : null
+            }));
+            const mainContent = renderTemplate('home.html', {
+                articles,
+                featured: articles.filter(article => article.featured),
+                hasTags,
+                layout: HOME_LAYOUT,
+                lang
+            });
+            return generateLayout(config.name, mainContent, '', homeUrl, {
+                title: config.name,
+                description: config.description,
+                image: config.logo,
+                type: 'website',
+                url: homeUrl
+            }, true, { lang, alternates: languages.length > 1 ? homeAlternates : [] });
+        });
+    });
+}
+
+// Build the tag overview page plus a story list and RSS feed per tag
+async function buildTagPages(articles = getArticles()) {
+    console.log('Building tag pages...');
+
+    const tags = groupArticlesByTag(getSiteLanguageVersions(getListedArticles(articles)));
+
+    const overviewInputs = tags.map(tag => ({ slug: tag.slug, name: tag.name, count: tag.articles.length }));
+    writePage('tags/index.html', overviewInputs, () => {
+        const overviewContent = renderTemplate('tags.html', { tags });
+        return generateLayout(`${translate(SITE_LANGUAGE, 'tags')} - ${config.name}`, overviewContent, 'tags', `${config.url}tags/`);
+    });
+
+    for (const tag of tags) {
+        const feeds = getFeedLinks(`tags/${tag.slug}/`, `${config.name}: ${tag.name}`);
+        writePage(`tags/${tag.slug}/index.html`, { name: tag.name, articles: tag.articles.map(getArticleInputs) }, () => {
+            const tagContent = renderTemplate('tag.html', { tag, feeds });
+            return generateLayout(`${tag.name} - ${config.name}`, tagContent, 'tag', `${config.url}tags/${tag.slug}/`, {
+                title: `${tag.name} - ${config.name}`,
+                description: `Stories tagged ${tag.name}`
+            }, false, { feeds });
+        });
+
+        await writeFeeds(tag.articles, {
+            title: `${config.name}: ${tag.name}`,
+            link: `${config.url}tags/${tag.slug}/`,
+            description: `${config.description}: stories tagged ${tag.name}`,
+            path: `tags/${tag.slug}/`,
+            language: SITE_LANGUAGE
+        });
+    }
+}
+
+// Parse a `location` front matter value: "Place, Country" or { name, country, coordinates: [lat, lng] }.
+// Returns null when the value cannot be understood
+function parseLocation(value) {
+    if (typeof value === 'string' && value.trim()) {
+        const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+        return parts.length > 1
+            ? { name: parts.slice(0, -1).join(', '), country: parts[parts.length - 1] }
+            : { name: parts[0], country: null };
+    }
+    if (!isPlainObject(value) || typeof value.name !== 'string' || !value.name.trim()) {
+        return null;
+    }
+    const location = { name: value.name.trim(), country: typeof value.country === 'string' && value.country.trim() ? value.country.trim() : null };
+    let coordinates = value.coordinates !== undefined ? value.coordinates : (value.latitude !== undefined ? [value.latitude, value.longitude] : null);
+    if (typeof coordinates === 'string') {
+        coordinates = coordinates.split(',').map(Number);
+    }
+    if (coordinates !== null) {
+        const [latitude, longitude] = Array.isArray(coordinates) ? coordinates.map(Number) : [];
+        if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+            return null;
+        }
+        location.latitude = latitude;
+        location.longitude = longitude;
+    }
+    return location;
+}
+
+// Round coordinates read from a photo so a published location does not pinpoint where it was taken
+function roundCoordinate(value) {
+    const factor = Math.pow(10, GPS_PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+// Format coordinates as "13.75° N, 100.50° E"
+function formatCoordinates(latitude, longitude) {
+    return `${Math.abs(latitude).toFixed(2)}° ${latitude < 0 ? 'S' : 'N'}, ${Math.abs(longitude).toFixed(2)}° ${longitude < 0 ? 'W' : 'E'}`;
+}
+
+// Location of an article from its front matter, with coordinates from the GPS of its first photo
+// when enabled and the front matter has none; expects the photo's EXIF to be in the cache already
+function getArticleLocation(article) {
+    const location = article.location ? { ...article.location } : null;
+    if (location && location.latitude !== undefined) {
+        return location;
+    }
+    const cached = article.locationFromGps && article.image && getImageCache().images[getImageCacheKey(article.slug, article.image)];
+    const gps = cached && cached.exif && cached.exif.gps;
+    if (!gps) {
+        return location;
+    }
+    const latitude = roundCoordinate(gps.latitude);
+    const longitude = roundCoordinate(gps.longitude);
+    return {
+        name: location ? location.name : formatCoordinates(latitude, longitude),
+        country: location ? location.country : null,
+        latitude,
+        longitude
+    };
+}
+
+// Heading for places without a country
+const OTHER_PLACES = 'Other places';
+
+// Stories grouped by country, then by place, both sorted by name
+function groupArticlesByPlace(articles) {
+    const countries = {};
+    articles.forEach(article => {
+        const location = getArticleLocation(article);
+        if (!location) {
+            return;
+        }
+        const countryName = location.country || OTHER_PLACES;
+        const country = countries[countryName] || (countries[countryName] = { name: countryName, slug: normalizeTag(countryName), places: {} });
+        const place = country.places[location.name] || (country.places[location.name] = { name: location.name, location, articles: [] });
+        place.articles.push(article);
+    });
+    return Object.values(countries)
+        .map(country => ({ ...country, places: Object.values(country.places).sort((a, b) => a.name.localeCompare(b.name)) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Project located stories onto an SVG canvas (equirectangular, corrected for latitude) with the
+// route between them in chronological order; drawn by the theme without any map tiles
+function getPlacesMap(articles) {
+    const located = articles
+        .map(article => ({ article, location: getArticleLocation(article) }))
+        .filter(({ location }) => location && location.latitude !== undefined)
+        .sort((a, b) => a.article.date - b.article.date);
+    if (located.length === 0) {
+        return null;
+    }
+
+    const latitudes = located.map(({ location }) => location.latitude);
+    const longitudes = located.map(({ location }) => location.longitude);
+    const scaleX = Math.cos((Math.min(...latitudes) + Math.max(...latitudes)) / 2 * Math.PI / 180);
+    // Pad the bounding box, and give a single place some surroundings
+    const padding = 1;
+    const west = Math.min(...longitudes) - padding;
+    const east = Math.max(...longitudes) + padding;
+    const south = Math.min(...latitudes) - padding;
+    const north = Math.max(...latitudes) + padding;
+
+    const width = 800;
+    const height = Math.round(Math.min(Math.max(width * (north - south) / ((east - west) * scaleX), 200), 800));
+    const scale = Math.min(width / ((east - west) * scaleX), height / (north - south));
+    const offsetX = (width - (east - west) * scaleX * scale) / 2;
+    const offsetY = (height - (north - south) * scale) / 2;
+    const project = ({ latitude, longitude }) => ({
+        x: Math.round((offsetX + (longitude - west) * scaleX * scale) * 10) / 10,
+        y: Math.round((offsetY + (north - latitude) * scale) * 10) / 10
+    });
+
+    // Each place is labelled once, at its first story
+    const labelled = new Set();
+    const points = located.map(({ article, location }) => {
+        const label = !labelled.has(location.name);
+        labelled.add(location.name);
+        return { article, location, label, ...project(location) };
+    });
+    return {
+        width,
+        height,
+        points,
+        route: points.map(point => `${point.x},${point.y}`).join(' ')
+    };
+}
+
+// Build /places/ with a map and the stories grouped by country and place, plus locations.geojson
+function buildPlacesPage(allArticles = getArticles()) {
+    console.log('Building places...');
+
+    const articles = getSiteLanguageVersions(getListedArticles(allArticles));
+    const countries = groupArticlesByPlace(articles);
+
+    const features = articles
+        .map(article => ({ article, location: getArticleLocation(article) }))
+        .filter(({ location }) => location && location.latitude !== undefined)
+        .map(({ article, location }) => ({
+            type: 'Feature',
+            // GeoJSON positions are longitude first
+            geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+            properties: {
+                title: article.title,
+                url: `${config.url}${article.path}`,
+                date: article.date.format('YYYY-MM-DD'),
+                place: location.name,
+                country: location.country
+            }
+        }));
+    const geojson = JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    writePage('locations.geojson', geojson, () => geojson);
+
+    const placesBuildDir = path.join(BUILD, 'places');
+    if (countries.length === 0) {
+        rimraf.sync(placesBuildDir);
+        return;
+    }
+    writePage('places/index.html', articles.map(getArticleInputs), () => {
+        const placesContent = renderTemplate('places.html', { countries, map: getPlacesMap(articles) });
+        return generateLayout(`${translate(SITE_LANGUAGE, 'places')} - ${config.name}`, placesContent, 'places', `${config.url}places/`);
+    });
+}
+
+// Build a search page per language, plus the search-index.json its script searches in the browser
+function buildSearchPages(allArticles = getArticles()) {
+    console.log('Building search...');
+
+    const listed = getListedArticles(allArticles);
+    const languages = getLanguages(listed);
+    const searchAlternates = languages.map(lang => ({ lang, url: `${config.url}${getLanguagePath(lang)}search/` }));
+
+    languages.forEach(lang => {
+        const languagePath = getLanguagePath(lang);
+        const index = JSON.stringify(listed.filter(article => article.lang === lang).map(article => ({
+            title: article.title,
+            url: article.url,
+            date: article.date.format('YYYY-MM-DD'),
+            description: article.description,
+            tags: article.tags.map(tag => tag.name),
+            text: stripMarkdown(article.body),
+            thumbnail: getStoryThumbnail(article)
+        })));
+        writePage(`${languagePath}search-index.json`, index, () => index);
+
+        writePage(`${languagePath}search/index.html`, { languages }, () => {
+            const searchContent = renderTemplate('search.html', { indexUrl: `/${languagePath}search-index.json`, lang });
+            return generateLayout(`${translate(lang, 'search')} - ${config.name}`, searchContent, 'search', `${config.url}${languagePath}search/`, {}, false, {
+                lang,
+                alternates: languages.length > 1 ? searchAlternates : [],
+                scripts: ['search']
+            });
+        });
+    });
+}
+
+// Add class="text" to paragraphs that contain text, but not to image-only paragraphs
+function addTextClassToParagraphs(html) {
+    return html.replace(/<p(\s[^>]*)?>([\s\S]*?)<\/p>/g, (match, attrs = '', inner) => {
+        const containsImageTag = /<(img|picture)\b/i.test(inner);
+        const strippedInnerText = inner.replace(/<[^>]*>/g, '').trim();
+        const isImageOnlyParagraph = containsImageTag && strippedInnerText.length === 0;
+
+        if (isImageOnlyParagraph) {
             if (attrs && /\bclass\s*=/.test(attrs)) {
                 const newAttrs = attrs.replace(/class=("|')(.*?)(\1)/, (m, q, cls) => `class=${q}${cls} center${q}`);
                 return `<p${newAttrs}>${inner}</p>`;
@@ -525,327 +1864,1828 @@ function addTextClassToParagraphs(html) {
     });
 }
 
+// Markdown extensions: a captioned image becomes a <figure>, and a `::: gallery` block lays out its images in a row
+//
+//     ![alt](a.jpg "caption")
+//
+//     ::: gallery
+//     ![left](b.jpg)
+//     ![right](c.jpg "caption")
+//     :::
+marked.use({
+    extensions: [{
+        name: 'gallery',
+        level: 'block',
+        start(src) {
+            const index = src.search(/^::: *gallery/m);
+            return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = /^::: *gallery *\n([\s\S]*?)\n::: *(?:\n+|$)/.exec(src);
+            if (match) {
+                return {
+                    type: 'gallery',
+                    raw: match[0],
+                    tokens: this.lexer.inlineTokens(match[1].trim())
+                };
+            }
+            return undefined;
+        },
+        renderer(token) {
+            const figures = token.tokens.filter(child => child.type === 'image').map(image => {
+                const img = this.parser.parseInline([image]);
+                // marked has already escaped the title
+                const caption = image.title ? `<figcaption>${image.title}</figcaption>` : '';
+                return `<figure class="gallery-item">${img}${caption}</figure>`;
+            });
+            return `<div class="gallery">\n${figures.join('\n')}\n</div>\n`;
+        }
+    }],
+    renderer: {
+        paragraph(text) {
+            // A paragraph holding one captioned image becomes a figure; everything else stays a paragraph
+            const imageOnly = /^\s*<img\b[^>]*>\s*$/.test(text);
+            const title = imageOnly && text.match(/\btitle="([^"]*)"/);
+            if (title) {
+                return `<figure>${text.trim()}<figcaption>${title[1]}</figcaption></figure>\n`;
+            }
+            return false; // Fall back to the default paragraph renderer
+        }
+    }
+});
+
+// Escape text for use in HTML text and quoted attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Attributes of an HTML start tag by lowercased name, with values as written (entities are left encoded)
+function getHtmlAttributes(tag) {
+    const attributes = {};
+    const attributePattern = /\s([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    const inner = tag.replace(/^<[^\s>\/]+/, '').replace(/\/?>$/, '');
+    let match;
+    while ((match = attributePattern.exec(inner)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!(name in attributes)) {
+            attributes[name] = [match[2], match[3], match[4]].find(value => value !== undefined) || '';
+        }
+    }
+    return attributes;
+}
+
+// Give gallery items their aspect ratio as --ratio, so the theme can size every photo in a row to the same height,
+// and record the share of the row width each image gets for its `sizes` attribute
+function layoutGalleries(html, articleSlug) {
+    const cache = getImageCache();
+    return html.replace(/<div class="gallery">([\s\S]*?)<\/div>/g, (gallery, inner) => {
+        const figures = inner.match(/<figure class="gallery-item">[\s\S]*?<\/figure>/g) || [];
+        const ratios = figures.map(figure => {
+            const src = (figure.match(/<img[^>]*\bsrc="([^"]+)"/) || [])[1] || '';
+            const cached = cache.images[getImageCacheKey(articleSlug, path.basename(src.split('?')[0]))];
+            const original = cached && cached.original;
+            // Unknown dimensions fall back to a common 3:2 landscape ratio
+            return original && original.width && original.height ? original.width / original.height : 1.5;
+        });
+        const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        const laidOut = figures.map((figure, index) => {
+            const ratio = ratios[index].toFixed(4);
+            const fraction = (ratios[index] / totalRatio).toFixed(4);
+            return figure
+                .replace('<figure class="gallery-item">', `<figure class="gallery-item" style="--ratio: ${ratio}">`)
+                .replace('<img ', `<img data-sizes-fraction="${fraction}" `);
+        });
+        // The row itself is laid out by the theme stylesheet, which sizes each item by its --ratio
+        return `<div class="gallery">\n${laidOut.join('\n')}\n</div>`;
+    });
+}
+
 // Replace markdown <img> tags with <picture> using available variants from cache
-function replaceImagesWithPicture(html, articleSlug) {
+function replaceImagesWithPicture(html, articleSlug, options = {}) {
+    const photoNames = new Map(); // lightbox name -> image filename
+    let imageIndex = 0;
     return html.replace(/<img([^>]*?)src=("|')([^"'>]+)\2([^>]*)>/gi, (m, preAttrs, q, src, postAttrs) => {
-        const altMatch = m.match(/alt=("|')([^\1]*?)\1/i);
-        const altText = altMatch ? altMatch[2] : '';
+        // The value may have been single-quoted, so only double quotes need encoding to reuse it
+        const altText = (getHtmlAttributes(m).alt || '').replace(/"/g, '&quot;');
         const imageFilename = src.split('?')[0];
         // Normalize to basename to match cache keys even if src includes paths
         const lookupFilename = path.basename(imageFilename);
-        const cache = loadImageCache();
+        const cache = getImageCache();
         const cacheKey = getImageCacheKey(articleSlug, lookupFilename);
         const cached = cache.images[cacheKey];
+        // Translations point at the images in the directory of their index.md version
+        const assetUrl = options.assetUrl || '';
         if (!cached || !cached.variants) {
             // No variants known; keep original img tag
-            const hasLoading = /\bloading=/.test(m);
-            return hasLoading ? m : m.replace(/<img/i, '<img');
+            const isRelative = !/^([a-z][a-z0-9+.-]*:|\/)/i.test(src);
+            return assetUrl && isRelative ? m.replace(src, assetUrl + src) : m;
+        }
+
+        const widths = Object.keys(cached.variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
+        const makeSrcSet = (fmt) => widths.map(w => `${assetUrl}${cached.variants[w][fmt].filename} ${w}w`).join(', ');
+        const maxW = Math.max(...widths);
+        const largestJpg = `${assetUrl}${cached.variants[maxW].jpg.filename}`;
+        // Intrinsic dimensions let the browser reserve space before the image loads
+        const width = cached.variants[maxW].jpg.width || (cached.original && cached.original.width);
+        const height = cached.variants[maxW].jpg.height || (cached.original && cached.original.height);
+        const dimensionAttrs = width && height ? ` width="${width}" height="${height}"` : '';
+        const placeholderStyle = width && height ? getPlaceholderStyle(cached.placeholder, width, height) : '';
+        const styleAttr = placeholderStyle ? ` style="${placeholderStyle}"` : '';
+        // The first photo is usually in view right away; the rest load as the reader scrolls
+        const loadingAttr = imageIndex++ === 0 ? '' : ' loading="lazy"';
+
+        // Build sizes attribute capped by intrinsic max width to avoid upscaling;
+        // gallery images only take their share of the content width
+        const fractionMatch = m.match(/\bdata-sizes-fraction="([\d.]+)"/);
+        const fraction = fractionMatch ? parseFloat(fractionMatch[1]) : 1;
+        const size768 = `${Math.round(100 * fraction)}vw`;
+        const size1024 = Math.min(Math.round(960 * fraction), maxW) + 'px';
+        const size1440 = Math.min(Math.round(1100 * fraction), maxW) + 'px';
+        const sizeDefault = Math.min(Math.round(1440 * fraction), maxW) + 'px';
+        const sizesAttr = `(max-width: 768px) ${size768}, (max-width: 1024px) ${size1024}, (max-width: 1440px) ${size1440}, ${sizeDefault}`;
+
+        // The lightbox finds photos by name; an image used twice is only opened once, and different files
+        // whose names normalize alike (IMG_1.jpg and img-1.jpg) are told apart by a numeric suffix
+        const baseName = normalizeTag(lookupFilename.replace(/\.[^.]+$/, ''));
+        let photoName = baseName;
+        for (let suffix = 2; photoNames.has(photoName) && photoNames.get(photoName) !== lookupFilename; suffix++) {
+            photoName = `${baseName}-${suffix}`;
+        }
+        const photoAttr = options.lightbox && !photoNames.has(photoName) ? ` data-photo="${photoName}"` : '';
+        photoNames.set(photoName, lookupFilename);
+
+        // Animated images have no AVIF variants
+        const sources = ['avif', 'webp']
+            .filter(format => cached.variants[maxW][format])
+            .map(format => `  <source srcset="${makeSrcSet(format)}" type="image/${format}" sizes="${sizesAttr}">`)
+            .join('\n');
+        const picture = `
+<picture${photoAttr}>
+${sources}
+  <img src="${largestJpg}" srcset="${makeSrcSet('jpg')}" sizes="${sizesAttr}" alt="${altText}"${dimensionAttrs}${loadingAttr} decoding="async"${styleAttr}>
+</picture>`;
+        // Captions are left empty and filled in by fillExifCaptions once typogrify has run, which would mark up
+        // camera names like "EOS" otherwise
+        const caption = options.exifCaptions ? formatExifCaption(cached.exif, options.exifGps) : '';
+        if (!caption || !options.captions) {
+            return picture;
+        }
+        options.captions.push(caption);
+        return `${picture}\n<small class="exif" data-caption="${options.captions.length - 1}"></small>`;
+    });
+}
+
+
+// Generate variants for the given images of the given articles through the shared image queue
+async function processArticleImages(articles, onlyImages = null) {
+    const jobs = [];
+    // Translations use the images of their index.md version
+    articles.filter(article => !article.isTranslation).forEach(article => {
+        const articleDir = path.join(RAW_ARTICLES, article.slug);
+        const articleBuildDir = path.join(BUILD, article.assetPath);
+        ensureDirExists(articleBuildDir);
+        article.images.forEach(imageFile => {
+            if (onlyImages && !onlyImages.has(getImageCacheKey(article.slug, imageFile))) {
+                return;
+            }
+            jobs.push({ article, imageFile, sourcePath: path.join(articleDir, imageFile), articleBuildDir });
+        });
+    });
+
+    console.log(`Processing ${jobs.length} images with ${JOBS} parallel jobs...`);
+    const progress = createProgress(jobs.length);
+    await Promise.all(jobs.map(({ article, imageFile, sourcePath, articleBuildDir }) =>
+        generateImageVariants(sourcePath, articleBuildDir, article.slug, imageFile, progress, getImageProcessingSettings(article))
+    ));
+    progress.finish();
+}
+
+// Build individual articles
+async function buildArticles(articles, onlyArticles = articles) {
+    console.log('Building articles...');
+    
+    await processArticleImages(onlyArticles);
+    await processCoverThumbnails(onlyArticles);
+    
+    // Pages linking to a rebuilt article show its title and cover, so they are checked too
+    const linksToRebuilt = article => {
+        const { previous, next, related } = getArticleNavigation(article, articles);
+        return [previous, next, ...related].some(other => onlyArticles.includes(other));
+    };
+    articles
+        .filter(article => onlyArticles === articles || onlyArticles.includes(article) || linksToRebuilt(article))
+        .forEach(article => renderArticle(article, articles));
+}
+
+// Render an article's markdown body to the final HTML used on its page and in feeds
+function renderArticleContent(article) {
+    // Process markdown content
+    const processedContent = marked.parse(article.body);
+    // Size gallery rows before their images are turned into <picture> elements
+    const withGalleries = layoutGalleries(processedContent, article.slug);
+    // Replace <img> with <picture> based on cache/variants
+    const captions = [];
+    const withPictures = replaceImagesWithPicture(withGalleries, article.slug, {
+        captions,
+        exifCaptions: article.exif.captions,
+        exifGps: article.exif.gps,
+        lightbox: article.lightbox,
+        assetUrl: article.isTranslation ? article.assetUrl : ''
+    });
+    // Add class to text paragraphs (not image-only paragraphs)
+    const withTextClasses = addTextClassToParagraphs(withPictures);
+    // Apply typography improvements, then add the EXIF captions it must not touch
+    return fillExifCaptions(typogr.typogrify(withTextClasses), captions);
+}
+
+// Put the EXIF captions collected by replaceImagesWithPicture into their empty <small class="exif"> elements
+function fillExifCaptions(html, captions) {
+    return html.replace(/<small class="exif" data-caption="(\d+)"><\/small>/g, (match, index) =>
+        `<small class="exif">${escapeHtml(captions[Number(index)])}</small>`
+    );
+}
+
+// Article with the cached variants, dimensions and EXIF of each image merged into its imageMetadata
+function withImageData(article) {
+    const cache = getImageCache();
+    return {
+        ...article,
+        imageMetadata: article.imageMetadata.map(imageMeta => ({
+            ...imageMeta,
+            ...(cache.images[getImageCacheKey(article.slug, imageMeta.filename)] || {})
+        }))
+    };
+}
+
+// Number of related stories shown under an article
+const RELATED_STORY_COUNT = 3;
+
+// Smallest cached JPG of an article's cover image, for use as a thumbnail in story links
+function getStoryThumbnail(article) {
+    const cover = getCoverThumbnail(article);
+    if (cover) {
+        return { url: cover.src, width: cover.width, height: cover.height };
+    }
+    const cached = article.cover && getImageCache().images[getImageCacheKey(article.slug, article.cover)];
+    if (!cached || !cached.variants || Object.keys(cached.variants).length === 0) {
+        return null;
+    }
+    const smallestWidth = Math.min(...Object.keys(cached.variants).map(Number));
+    const variant = cached.variants[smallestWidth].jpg;
+    return { url: `${article.assetUrl}${variant.filename}`, width: variant.width, height: variant.height };
+}
+
+// Link data for another story shown on an article page
+function toStoryLink(article) {
+    return { ...article, thumbnail: getStoryThumbnail(article) };
+}
+
+// How closely two articles are related: one point per shared tag, plus one for the same country and one for the same place
+function getRelatedness(article, other) {
+    const tagSlugs = new Set(article.tags.map(tag => tag.slug));
+    const location = getArticleLocation(article);
+    const otherLocation = getArticleLocation(other);
+    const sameCountry = Boolean(location && otherLocation && location.country && location.country === otherLocation.country);
+    const samePlace = Boolean(location && otherLocation && location.name === otherLocation.name);
+    return other.tags.filter(tag => tagSlugs.has(tag.slug)).length + sameCountry + samePlace;
+}
+
+// Chronological neighbours and related stories of an article, from the full sorted article list
+function getArticleNavigation(article, articles) {
+    // Readers stay within the language of the article they are reading
+    const listed = getListedArticles(articles).filter(other => other.lang === article.lang);
+    const index = listed.indexOf(article);
+    // Articles are sorted newest first, so the previous story comes after this one in the list
+    const previous = index === -1 ? null : listed[index + 1] || null;
+    const next = index > 0 ? listed[index - 1] : null;
+
+    const others = listed.filter(other => other !== article);
+    const related = others
+        .map(other => ({ other, score: getRelatedness(article, other) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || b.other.date - a.other.date)
+        .map(({ other }) => other)
+        .slice(0, RELATED_STORY_COUNT);
+    // Top up with featured stories when there are not enough related ones
+    others
+        .filter(other => other.featured && !related.includes(other))
+        .slice(0, RELATED_STORY_COUNT - related.length)
+        .forEach(other => related.push(other));
+
+    return { previous, next, related };
+}
+
+// Render a single article page unless none of its inputs changed; expects its image variants to be in the cache already
+function renderArticle(article, articles) {
+    const { previous, next, related } = getArticleNavigation(article, articles);
+    // Only link translations that are listed themselves, so unlisted drafts stay unlisted
+    const listedVersions = getListedArticles([article, ...article.translations]);
+    const alternates = listedVersions.length > 1 && listedVersions.includes(article)
+        ? listedVersions.map(version => ({ lang: version.lang, url: `${config.url}${version.path}` }))
+        : [];
+
+    // Linked stories show their title and cover, so their inputs are inputs of this page too
+    const inputs = {
+        article: getArticleInputs(article),
+        alternates,
+        navigation: [previous, next, ...related].map(other => other && getArticleInputs(other))
+    };
+    writePage(`${article.path}index.html`, inputs, () => {
+        console.log(`  Building ${article.slug}${article.isTranslation ? ` (${article.lang})` : ''}...`);
+
+        const finalContent = renderArticleContent(article);
+        // First image and description were extracted from the markdown by getArticles
+        const firstImage = article.image;
+        const description = article.description;
+
+        // Determine best social image (largest JPG variant, max 2200)
+        let socialImageFilename = firstImage || '';
+        const cachedFirstImage = firstImage && getImageCache().images[getImageCacheKey(article.slug, firstImage)];
+        if (cachedFirstImage && cachedFirstImage.variants && Object.keys(cachedFirstImage.variants).length > 0) {
+            socialImageFilename = summarizeVariants(cachedFirstImage.variants, firstImage).largestJpgFilename;
+        }
+
+        // Create social media metadata
+        const socialMeta = {
+            slug: article.slug,
+            title: article.title,
+            description: description,
+            image: socialImageFilename && `${config.url}${article.assetPath}${socialImageFilename}`,
+            type: 'article',
+            url: `${config.url}${article.path}`
+        };
+
+        // Generate article HTML with social media metadata
+        const location = getArticleLocation(article);
+        const articleContent = renderTemplate('article.html', {
+            article: withImageData(article),
+            content: finalContent,
+            location: location && { ...location, url: `/places/#${normalizeTag(location.country || OTHER_PLACES)}` },
+            previous: previous && toStoryLink(previous),
+            next: next && toStoryLink(next),
+            related: related.map(toStoryLink),
+            lang: article.lang
+        });
+
+        return generateLayout(`${article.title} - ${config.name}`, articleContent, 'article-detail', `${config.url}${article.path}`, socialMeta, false, {
+            lang: article.lang,
+            alternates,
+            noindex: !article.published,
+            scripts: article.lightbox ? ['lightbox'] : []
+        });
+    });
+}
+
+// Get image dimensions using ImageMagick
+async function getImageDimensions(imagePath) {
+    try {
+        const { stdout } = await execAsync(`identify -format "%wx%h" "${imagePath}[0]"`);
+        const [width, height] = stdout.trim().split('x').map(Number);
+        return { width, height };
+    } catch (error) {
+        return { width: 0, height: 0 };
+    }
+}
+
+// Generate cache-busting hash from the source content hash
+function generateCacheBustingHash(contentHash) {
+    if (!contentHash) {
+        return '';
+    }
+    // Create a short hash from the content hash for cache busting
+    const hash = crypto.createHash('md5').update(contentHash).digest('hex').substring(0, 8);
+    return `-${hash}`;
+}
+
+// Hash a file's contents without loading it into memory at once
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Image dimension cache management
+function loadImageCache() {
+    try {
+        if (fs.existsSync(IMAGE_CACHE_FILE)) {
+            const cacheData = fs.readFileSync(IMAGE_CACHE_FILE, 'utf8');
+            return JSON.parse(cacheData);
+        }
+    } catch (error) {
+        console.warn('Warning: Could not load image cache, starting fresh:', error.message);
+    }
+    
+    return {
+        version: '3.0',
+        lastUpdated: new Date().toISOString(),
+        images: {}
+    };
+}
+
+// Shared in-memory cache; every update mutates this object so parallel image jobs never overwrite each other
+function getImageCache() {
+    if (!IMAGE_CACHE) {
+        IMAGE_CACHE = loadImageCache();
+    }
+    return IMAGE_CACHE;
+}
+
+// Record that the cache changed; it is written once per build by flushImageCache rather than after
+// every image, which would rewrite the whole file several times per photo
+function saveImageCache(cache) {
+    cache.lastUpdated = new Date().toISOString();
+    imageCacheDirty = true;
+}
+
+// Write the in-memory cache to disk if it changed
+function flushImageCache() {
+    if (!IMAGE_CACHE || !imageCacheDirty) {
+        return;
+    }
+    try {
+        // Write to a temporary file first so an interrupted build never leaves a truncated cache
+        const tmpFile = `${IMAGE_CACHE_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(IMAGE_CACHE, null, 2));
+        fs.renameSync(tmpFile, IMAGE_CACHE_FILE);
+        imageCacheDirty = false;
+    } catch (error) {
+        console.error('Error saving image cache:', error.message);
+    }
+}
+
+function getImageCacheKey(articleSlug, imageFilename) {
+    return `articles/${articleSlug}/${imageFilename}`;
+}
+
+function getCachedImageDimensions(articleSlug, imageFilename) {
+    const cache = getImageCache();
+    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
+    const cachedImage = cache.images[cacheKey];
+    
+    if (!cachedImage) {
+        return null;
+    }
+    
+    return {
+        width: cachedImage.width || (cachedImage.original && cachedImage.original.width) || 0,
+        height: cachedImage.height || (cachedImage.original && cachedImage.original.height) || 0,
+        size: cachedImage.size || 0
+    };
+}
+
+function updateImageCache(articleSlug, imageFilename, imagePath, dimensions, fileSize) {
+    const cache = getImageCache();
+    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
+    
+    try {
+        let fileModified = new Date().toISOString();
+        
+        // Replace the entry: variants, hashes and settings of an earlier run no longer describe this image
+        cache.images[cacheKey] = {
+            width: dimensions.width,
+            height: dimensions.height,
+            size: fileSize,
+            lastModified: fileModified,
+            processed: true
+        };
+        
+        saveImageCache(cache);
+    } catch (error) {
+        console.warn(`Warning: Could not update cache for ${imageFilename}:`, error.message);
+    }
+}
+
+function updateImageCacheWithVariants(articleSlug, imageFilename, destDir, originalDimensions, variants, largestWidth, largestSize, sourceHash, settings) {
+    const cache = getImageCache();
+    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
+    try {
+        cache.images[cacheKey] = {
+            versioned: true,
+            original: originalDimensions,
+            largestWidth,
+            size: largestSize,
+            lastModified: new Date().toISOString(),
+            processed: true,
+            sourceHash,
+            settings,
+            variants
+        };
+
+        saveImageCache(cache);
+    } catch (error) {
+        console.warn(`Warning: Could not update variant cache for ${imageFilename}:`, error.message);
+    }
+}
+
+// Merge extra per-image metadata (EXIF and the like) into an existing cache entry
+function updateImageCacheMetadata(articleSlug, imageFilename, fields) {
+    const cache = getImageCache();
+    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
+    cache.images[cacheKey] = { ...cache.images[cacheKey], ...fields };
+    saveImageCache(cache);
+}
+
+// Whether every variant file was written after the source was last modified, so it cannot be of an earlier export
+function variantsNewerThanSource(variants, destDir, sourcePath) {
+    const sourceModified = fs.statSync(sourcePath).mtimeMs;
+    return Object.values(variants).every(formats =>
+        Object.values(formats).every(variant => fs.statSync(path.join(destDir, variant.filename)).mtimeMs >= sourceModified)
+    );
+}
+
+// Record the source hash and settings for variants generated before content hashing existed
+function adoptCachedVariants(articleSlug, imageFilename, sourceHash, settings) {
+    const cache = getImageCache();
+    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
+    cache.images[cacheKey] = { ...cache.images[cacheKey], sourceHash, settings };
+    saveImageCache(cache);
+}
+
+// Build manifest: a fingerprint of the inputs of every page written, so unchanged pages are skipped
+function loadBuildManifest() {
+    try {
+        if (fs.existsSync(BUILD_MANIFEST_FILE)) {
+            return JSON.parse(fs.readFileSync(BUILD_MANIFEST_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('Warning: Could not load build manifest, rebuilding all pages:', error.message);
+    }
+    return { version: '1.0', pages: {} };
+}
+
+function getBuildManifest() {
+    if (!BUILD_MANIFEST) {
+        BUILD_MANIFEST = loadBuildManifest();
+    }
+    return BUILD_MANIFEST;
+}
+
+function saveBuildManifest() {
+    const manifest = getBuildManifest();
+    // Forget pages that were pruned or deleted by hand
+    Object.keys(manifest.pages).forEach(page => {
+        if (!fs.existsSync(page)) {
+            delete manifest.pages[page];
+        }
+    });
+    try {
+        const tmpFile = `${BUILD_MANIFEST_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmpFile, BUILD_MANIFEST_FILE);
+    } catch (error) {
+        console.error('Error saving build manifest:', error.message);
+    }
+}
+
+// All files below a directory, sorted so their order does not depend on the file system
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir).sort().flatMap(name => {
+        const fullPath = path.join(dir, name);
+        return fs.statSync(fullPath).isDirectory() ? listFiles(fullPath) : [fullPath];
+    });
+}
+
+// Configuration sections that affect rendered pages; deploy settings, for one, never change a page
+const RENDERING_CONFIG_SECTIONS = ['site', 'images', 'feeds', 'home', 'places', 'theme'];
+
+// Inputs of every page: the generator itself, the theme, the hashed asset filenames and the configuration
+function getSharedInputs() {
+    if (!sharedInputsHash) {
+        const hash = crypto.createHash('md5').update(fs.readFileSync(__filename));
+        THEME_DIRS.forEach(dir => listFiles(dir).forEach(file => hash.update(file).update(fs.readFileSync(file))));
+        sharedInputsHash = hash.digest('hex');
+    }
+    const renderingConfig = _.pick(siteConfig, RENDERING_CONFIG_SECTIONS);
+    return { generator: sharedInputsHash, cssFilename, themeCssFilename, scriptFilenames, siteConfig: renderingConfig, drafts: INCLUDE_DRAFTS };
+}
+
+// HTML elements that never have an end tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// HTML elements whose end tag may be left out
+const OPTIONAL_END_TAG_ELEMENTS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option']);
+// HTML elements whose content is not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// The first well-formedness problem in a generated page or feed, or null. XML must be strictly well-formed;
+// HTML may use void elements, leave out optional end tags and contain a literal "<" or "&" in text
+function findMarkupError(markup, xml = false) {
+    const tagPattern = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+    const attributePattern = /([^\s"'<>\/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+    const badXmlText = /&(?!(?:[A-Za-z_][\w.-]*|#\d+|#x[\da-fA-F]+);)|]]>|</;
+    // XML attributes need a quoted value without a bare "&" or "<"
+    const isXmlAttribute = ([, , value]) => Boolean(value) && /^["']/.test(value) && !/&(?!(?:[A-Za-z_][\w.-]*|#\d+|#x[\da-fA-F]+);)|</.test(value);
+    const excerpt = index => JSON.stringify(markup.slice(index, index + 40));
+    const open = [];
+    // HTML closes elements with an optional end tag implicitly
+    const closeOptional = name => {
+        while (!xml && open.length > 0 && open[open.length - 1] !== name && OPTIONAL_END_TAG_ELEMENTS.has(open[open.length - 1])) {
+            open.pop();
+        }
+    };
+    let index = 0;
+    while (index < markup.length) {
+        const next = markup.indexOf('<', index);
+        const text = markup.slice(index, next === -1 ? markup.length : next);
+        if (xml && badXmlText.test(text)) {
+            return `unescaped character in text near ${excerpt(index + text.search(badXmlText))}`;
+        }
+        if (next === -1) {
+            break;
+        }
+        // Comments, CDATA sections, doctypes and processing instructions
+        const special = [['<!--', '-->'], ['<![CDATA[', ']]>'], ['<!', '>'], ['<?', '?>']].find(([start]) => markup.startsWith(start, next));
+        if (special) {
+            const end = markup.indexOf(special[1], next + special[0].length);
+            if (end === -1) {
+                return `unterminated ${special[0]} at ${excerpt(next)}`;
+            }
+            index = end + special[1].length;
+            continue;
+        }
+        tagPattern.lastIndex = next;
+        const match = tagPattern.exec(markup);
+        if (!match) {
+            if (xml || /^<\/?[A-Za-z]/.test(markup.slice(next, next + 3))) {
+                return `malformed tag at ${excerpt(next)}`;
+            }
+            index = next + 1;
+            continue;
+        }
+        const [tag, closing, rawName, attributes, selfClosing] = match;
+        const name = xml ? rawName : rawName.toLowerCase();
+        index = next + tag.length;
+        if (xml && ![...attributes.matchAll(attributePattern)].every(isXmlAttribute)) {
+            return `malformed attribute in ${excerpt(next)}`;
+        }
+        if (closing) {
+            closeOptional(name);
+            const expected = open.pop();
+            if (expected !== name) {
+                return expected ? `</${name}> closes <${expected}> at ${excerpt(next)}` : `unexpected </${name}> at ${excerpt(next)}`;
+            }
+        } else if (!selfClosing && (xml || !VOID_ELEMENTS.has(name))) {
+            open.push(name);
+            if (!xml && RAW_TEXT_ELEMENTS.has(name)) {
+                const end = markup.toLowerCase().indexOf(`</${name}`, index);
+                if (end === -1) {
+                    return `unclosed <${name}>`;
+                }
+                index = end;
+            }
+        }
+    }
+    closeOptional(null);
+    return open.length > 0 ? `unclosed <${open[open.length - 1]}>` : null;
+}
+
+// Inputs an article contributes to the pages that show or list it: its markdown and its cached images
+function getArticleInputs(article) {
+    const cache = getImageCache();
+    return {
+        path: article.path,
+        source: article.sourceHash,
+        images: article.images.map(imageFile => cache.images[getImageCacheKey(article.slug, imageFile)] || null)
+    };
+}
+
+// Fingerprint of a page's own inputs together with the inputs every page shares
+function getPageFingerprint(inputs) {
+    return crypto.createHash('md5').update(JSON.stringify({ shared: getSharedInputs(), inputs })).digest('hex');
+}
+
+// Whether a page in the build directory was last written from inputs with this fingerprint
+function isPageCurrent(relativePath, fingerprint) {
+    const outputPath = path.join(BUILD, relativePath);
+    return !FORCE_OVERWRITE && getBuildManifest().pages[outputPath] === fingerprint && fs.existsSync(outputPath);
+}
+
+// Write a page under the build directory unless its inputs are the same as when it was last written;
+// `render` is only called when the page has to be written
+function writePage(relativePath, inputs, render) {
+    const fingerprint = getPageFingerprint(inputs);
+    if (isPageCurrent(relativePath, fingerprint)) {
+        pageStats.skipped++;
+        return false;
+    }
+    const outputPath = path.join(BUILD, relativePath);
+    const output = render();
+    if (/\.(html|xml)$/.test(relativePath)) {
+        const problem = findMarkupError(output, relativePath.endsWith('.xml'));
+        if (problem) {
+            console.warn(`Warning: ${relativePath} is not well-formed: ${problem}`);
+        }
+    }
+    ensureDirExists(path.dirname(outputPath));
+    fs.writeFileSync(outputPath, output);
+    getBuildManifest().pages[outputPath] = fingerprint;
+    pageStats.written++;
+    return true;
+}
+
+// Generate the site-wide RSS, Atom and JSON feeds, one set per language
+async function generateFeeds(allArticles = getArticles()) {
+    console.log('Generating feeds...');
+    
+    const articles = getListedArticles(allArticles);
+    for (const lang of getLanguages(articles)) {
+        await writeFeeds(articles.filter(article => article.lang === lang), {
+            title: config.name,
+            link: `${config.url}${getLanguagePath(lang)}`,
+            description: config.description,
+            path: getLanguagePath(lang),
+            language: lang
+        });
+    }
+}
+
+// Alternate links for the three feed formats published under a path ('' for the site root)
+function getFeedLinks(feedPath, title) {
+    return [
+        { url: `${config.url}${feedPath}feed.xml`, type: 'application/rss+xml', title },
+        { url: `${config.url}${feedPath}atom.xml`, type: 'application/atom+xml', title },
+        { url: `${config.url}${feedPath}feed.json`, type: 'application/feed+json', title }
+    ];
+}
+
+// Write feed.xml, atom.xml and feed.json for the given articles into the channel's path
+async function writeFeeds(articles, channel) {
+    const limitedArticles = FEED_ITEM_LIMIT > 0 ? articles.slice(0, FEED_ITEM_LIMIT) : articles;
+    const inputs = { channel, articles: limitedArticles.map(getArticleInputs) };
+    const feeds = {
+        'feed.xml': items => renderRSSFeed(items, channel),
+        'atom.xml': items => renderAtomFeed(items, channel),
+        'feed.json': items => renderJSONFeed(items, channel)
+    };
+    // Preparing the items renders every article when feeds carry the full content, so skip it when possible
+    const fingerprint = getPageFingerprint(inputs);
+    if (Object.keys(feeds).every(file => isPageCurrent(`${channel.path}${file}`, fingerprint))) {
+        pageStats.skipped += Object.keys(feeds).length;
+        return;
+    }
+    // One broken article should not make the whole feed unreadable for subscribers, so it is left out instead
+    const items = (await getFeedItems(articles)).filter(item => {
+        const problem = findMarkupError(renderRSSItem(item), true) || findMarkupError(renderAtomEntry(item), true);
+        if (problem) {
+            console.warn(`Warning: Leaving ${item.slug} out of ${channel.path}feed.xml and atom.xml: ${problem}`);
+        }
+        return !problem;
+    });
+    Object.entries(feeds).forEach(([file, render]) => writePage(`${channel.path}${file}`, inputs, () => render(items)));
+}
+
+// Prepare feed entries: capped item count, a representative image and optionally the full article HTML
+async function getFeedItems(articles) {
+    const limitedArticles = FEED_ITEM_LIMIT > 0 ? articles.slice(0, FEED_ITEM_LIMIT) : articles;
+
+    // Process image metadata for all articles using cache when possible
+    return Promise.all(limitedArticles.map(async (article) => {
+        const processedImages = await Promise.all(article.imageMetadata.map(async (imageMeta) => {
+            // Use cache dimensions only
+            const cachedDimensions = getCachedImageDimensions(article.slug, imageMeta.filename);
+            return {
+                ...imageMeta,
+                ...(cachedDimensions || { width: 0, height: 0, size: imageMeta.size || 0 })
+            };
+        }));
+        
+        // Select a single largest JPG variant based on the article's primary image
+        const cache = getImageCache();
+        let rssImage = null;
+        if (article.image) {
+            const key = getImageCacheKey(article.slug, article.image);
+            const cached = cache.images[key];
+            if (cached && cached.variants) {
+                const widths = Object.keys(cached.variants).map(n => parseInt(n, 10));
+                if (widths.length > 0) {
+                    const w = Math.max(...widths);
+                    const jpg = cached.variants[w].jpg;
+                    rssImage = {
+                        filename: jpg.filename,
+                        width: jpg.width || w,
+                        height: jpg.height || 0,
+                        size: jpg.size || 0
+                    };
+                }
+            }
+        }
+        // Fallback: pick the widest processed image if variants not found
+        if (!rssImage && processedImages.length > 0) {
+            const widest = processedImages.reduce((a, b) => (b.width || 0) > (a.width || 0) ? b : a, processedImages[0]);
+            rssImage = {
+                filename: widest.filename,
+                width: widest.width || 0,
+                height: widest.height || 0,
+                size: widest.size || 0
+            };
+        }
+
+        const absoluteUrl = `${config.url}${article.path}`;
+        return {
+            ...article,
+            absoluteUrl,
+            rssImage,
+            imageUrl: rssImage ? `${config.url}${article.assetPath}${rssImage.filename}` : null,
+            content: FEED_FULL_CONTENT ? toFeedHtml(renderArticleContent(article), absoluteUrl) : null
+        };
+    }));
+}
+
+// Make article HTML safe for feed readers: absolute URLs and plain JPG <img> instead of <picture>
+function toFeedHtml(html, articleUrl) {
+    const absolute = url => {
+        if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) {
+            return url;
+        }
+        return url.startsWith('/') ? config.url + url.slice(1) : articleUrl + url;
+    };
+    return html
+        // Many readers ignore <source>; the JPG <img> inside each <picture> is the fallback they understand
+        .replace(/<picture\b[^>]*>[\s\S]*?(<img\b[^>]*>)[\s\S]*?<\/picture>/g, '$1')
+        // Placeholders and loading hints are for the site itself
+        .replace(/ (?:style|loading|decoding)="[^"]*"/g, '')
+        .replace(/\b(src|href)="([^"]*)"/g, (m, attr, url) => `${attr}="${absolute(url)}"`)
+        .replace(/\bsrcset="([^"]*)"/g, (m, srcset) => {
+            const candidates = srcset.split(',').map(candidate => {
+                const [url, descriptor] = candidate.trim().split(/\s+/);
+                return descriptor ? `${absolute(url)} ${descriptor}` : absolute(url);
+            });
+            return `srcset="${candidates.join(', ')}"`;
+        });
+}
+
+// Control characters that XML 1.0 does not allow anywhere, not even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// Escape text for use in XML content and attributes
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Wrap text in a CDATA section; a "]]>" inside it is split across two sections so it can't end the first one early
+function wrapCdata(value) {
+    return `<![CDATA[${String(value).replace(INVALID_XML_CHARS, '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Render an RSS 2.0 document for the given feed items and channel details
+function renderRSSFeed(items, channel) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${escapeXml(channel.title)}</title>
+        <link>${escapeXml(channel.link)}</link>
+        <atom:link href="${escapeXml(`${config.url}${channel.path}feed.xml`)}" rel="self" type="application/rss+xml" />
+        <description>${escapeXml(channel.description)}</description>
+        <language>${channel.language}</language>
+        <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+        ${items.map(renderRSSItem).join('\n        ')}
+    </channel>
+</rss>`;
+}
+
+// Render the <item> of one article in an RSS feed
+function renderRSSItem(article) {
+    return renderTemplate('feed-item.xml', { article });
+}
+
+// Render an Atom 1.0 document for the given feed items and channel details
+function renderAtomFeed(items, channel) {
+    const updated = items.length > 0 ? items[0].date.toDate() : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${channel.language}">
+    <title>${escapeXml(channel.title)}</title>
+    <subtitle>${escapeXml(channel.description)}</subtitle>
+    <link href="${escapeXml(channel.link)}" />
+    <link href="${escapeXml(`${config.url}${channel.path}atom.xml`)}" rel="self" type="application/atom+xml" />
+    <id>${escapeXml(channel.link)}</id>
+    <updated>${updated.toISOString()}</updated>
+    <author>
+        <name>${escapeXml(config.owner)}</name>
+    </author>
+    ${items.map(renderAtomEntry).join('')}
+</feed>`;
+}
+
+// Render the <entry> of one article in an Atom feed
+function renderAtomEntry(article) {
+    return `
+    <entry>
+        <title>${escapeXml(article.title)}</title>
+        <link href="${escapeXml(article.absoluteUrl)}" />
+        <id>${escapeXml(article.absoluteUrl)}</id>
+        <published>${article.date.toDate().toISOString()}</published>
+        <updated>${article.date.toDate().toISOString()}</updated>
+        <summary>${escapeXml(article.description)}</summary>
+        ${article.content ? `<content type="html">${escapeXml(article.content)}</content>` : ''}
+        ${article.tags.map(tag => `<category term="${escapeXml(tag.slug)}" label="${escapeXml(tag.name)}" />`).join('')}
+        ${article.rssImage ? `<link rel="enclosure" href="${escapeXml(article.imageUrl)}" type="image/jpeg"${article.rssImage.size ? ` length="${article.rssImage.size}"` : ''} />` : ''}
+    </entry>`;
+}
+
+// Render a JSON Feed 1.1 document for the given feed items and channel details
+function renderJSONFeed(items, channel) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: channel.title,
+        home_page_url: channel.link,
+        feed_url: `${config.url}${channel.path}feed.json`,
+        description: channel.description,
+        authors: [{ name: config.owner }],
+        language: channel.language,
+        items: items.map(article => {
+            const item = {
+                id: article.absoluteUrl,
+                url: article.absoluteUrl,
+                title: article.title,
+                summary: article.description,
+                date_published: article.date.toDate().toISOString()
+            };
+            if (article.content) {
+                item.content_html = article.content;
+            } else {
+                item.content_text = article.description;
+            }
+            if (article.imageUrl) {
+                item.image = article.imageUrl;
+            }
+            if (article.tags.length > 0) {
+                item.tags = article.tags.map(tag => tag.name);
+            }
+            return item;
+        })
+    };
+    return JSON.stringify(feed, null, 2);
+}
+
+// Generate sitemap.xml with image entries for every published article
+function generateSitemap(allArticles = getArticles()) {
+    console.log('Generating sitemap...');
+
+    const articles = allArticles.filter(article => article.published);
+    const cache = getImageCache();
+
+    // Last change is the `updated` date of the front matter when it is later than the article date. File
+    // modification times would say everything changed after every fresh checkout
+    const lastModified = article => article.updated && article.updated.isAfter(article.date) ? article.updated : article.date;
+    const newest = list => list.reduce((latest, article) => {
+        const modified = lastModified(article);
+        return !latest || modified.isAfter(latest) ? modified : latest;
+    }, null);
+
+    // Every language's homepage, linked to each other like the translated articles
+    const languages = getLanguages(articles);
+    const homeAlternates = languages.length > 1 ? languages.map(lang => ({ lang, url: `${config.url}${getLanguagePath(lang)}` })) : [];
+    const entries = languages.map(lang => ({
+        loc: `${config.url}${getLanguagePath(lang)}`,
+        lastmod: newest(articles.filter(article => article.lang === lang)),
+        images: [],
+        alternates: homeAlternates
+    }));
+    const sharedArticles = getSiteLanguageVersions(articles);
+    const tags = groupArticlesByTag(sharedArticles);
+    if (tags.length > 0) {
+        entries.push({ loc: `${config.url}tags/`, lastmod: newest(articles), images: [] });
+        tags.forEach(tag => entries.push({ loc: `${config.url}tags/${tag.slug}/`, lastmod: newest(tag.articles), images: [] }));
+    }
+    const located = sharedArticles.filter(article => getArticleLocation(article));
+    if (located.length > 0) {
+        entries.push({ loc: `${config.url}places/`, lastmod: newest(located), images: [] });
+    }
+    articles.forEach(article => {
+        // Image search picks up the largest JPG variant of every photo in the article
+        const images = article.images.map(imageFile => {
+            const cached = cache.images[getImageCacheKey(article.slug, imageFile)];
+            if (!cached || !cached.variants || Object.keys(cached.variants).length === 0) {
+                return null;
+            }
+            return `${config.url}${article.assetPath}${summarizeVariants(cached.variants, imageFile).largestJpgFilename}`;
+        }).filter(Boolean);
+        const versions = [article, ...article.translations].filter(version => version.published);
+        const alternates = versions.length > 1 ? versions.map(version => ({ lang: version.lang, url: `${config.url}${version.path}` })) : [];
+        entries.push({ loc: `${config.url}${article.path}`, lastmod: lastModified(article), images, alternates });
+    });
+
+    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.map(entry => {
+    const lines = [
+        `<loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `<lastmod>${entry.lastmod.format('YYYY-MM-DD')}</lastmod>` : '',
+        ...entry.images.map(image => `<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`),
+        ...(entry.alternates || []).map(alternate => `<xhtml:link rel="alternate" hreflang="${alternate.lang}" href="${escapeXml(alternate.url)}" />`)
+    ].filter(Boolean);
+    return `    <url>\n        ${lines.join('\n        ')}\n    </url>`;
+}).join('\n')}
+</urlset>`;
+
+    writePage('sitemap.xml', sitemap, () => sitemap);
+}
+
+// Generate robots.txt pointing crawlers at the sitemap
+function generateRobotsTxt(allArticles = getArticles()) {
+    // Translated drafts are under their language, e.g. /nl/drafts/
+    const disallowed = getLanguages(allArticles).map(lang => `Disallow: /${getLanguagePath(lang)}drafts/`);
+    const robots = `User-agent: *
+${disallowed.join('\n')}
+
+Sitemap: ${config.url}sitemap.xml
+`;
+    writePage('robots.txt', robots, () => robots);
+}
+
+// Build the 404 page with the regular site layout
+function buildNotFoundPage() {
+    writePage('404.html', {}, () => {
+        const content = renderTemplate('404.html');
+        return generateLayout(`${translate(SITE_LANGUAGE, 'page not found')} - ${config.name}`, content, 'not-found', '', {}, false, { noindex: true });
+    });
+}
+
+// Files an article's build directory should contain, based on the current image cache
+function getExpectedArticleFiles(article) {
+    const cache = getImageCache();
+    const files = new Set(['index.html']);
+    // Images are only written next to the index.md version of an article
+    const ownImages = article.isTranslation ? [] : article.images;
+    ownImages.forEach(imageFile => {
+        const cached = cache.images[getImageCacheKey(article.slug, imageFile)];
+        if (cached && cached.variants && Object.keys(cached.variants).length > 0) {
+            Object.values(cached.variants).forEach(formats => {
+                Object.values(formats).forEach(variant => files.add(variant.filename));
+            });
+            // Cover thumbnails are only kept while the homepage grid uses them
+            if (cached.thumbnails && HOME_LAYOUT === 'grid' && imageFile === article.cover) {
+                Object.values(cached.thumbnails.variants).forEach(formats => {
+                    Object.values(formats).forEach(variant => files.add(variant.filename));
+                });
+            }
+        } else {
+            // Images that could not be processed are copied as-is
+            files.add(imageFile);
+        }
+    });
+    return files;
+}
+
+// Total size in bytes of a file or directory
+function getPathSize(targetPath) {
+    const stats = fs.statSync(targetPath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    return fs.readdirSync(targetPath).reduce((total, name) => total + getPathSize(path.join(targetPath, name)), 0);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Remove build output and cache entries that the current articles no longer produce
+function pruneBuild(dryRun = false, articles = getArticles()) {
+    console.log(dryRun ? 'Pruning build output (dry run)...' : 'Pruning build output...');
+
+    const articlesByPath = new Map(articles.map(article => [article.path, article]));
+    const verb = dryRun ? 'Would remove' : 'Removed';
+    let removedFiles = 0;
+    let removedBytes = 0;
+
+    const removePath = (targetPath, label) => {
+        const size = getPathSize(targetPath);
+        removedBytes += size;
+        removedFiles++;
+        console.log(`  ${verb} ${label} (${formatBytes(size)})`);
+        if (!dryRun) {
+            rimraf.sync(targetPath);
+        }
+    };
+
+    // Output of languages that no longer have any articles
+    const languages = new Set(articles.map(article => article.lang));
+    const languageDirs = fs.existsSync(BUILD)
+        ? fs.readdirSync(BUILD).filter(name => !isLanguageCode(name) && fs.statSync(path.join(BUILD, name)).isDirectory() &&
+            (fs.existsSync(path.join(BUILD, name, 'articles')) || fs.existsSync(path.join(BUILD, name, 'drafts'))))
+        : [];
+    languageDirs.filter(lang => !languages.has(lang)).forEach(lang => removePath(path.join(BUILD, lang), `${lang}/`));
+
+    // Stale variants, removed articles and moved drafts in build/articles and build/drafts (and their translations)
+    const sections = ['articles', 'drafts', ...languageDirs.filter(lang => languages.has(lang)).flatMap(lang => [`${lang}/articles`, `${lang}/drafts`])];
+    sections.forEach(section => {
+        const sectionBuildDir = path.join(BUILD, section);
+        if (!fs.existsSync(sectionBuildDir)) {
+            return;
+        }
+        fs.readdirSync(sectionBuildDir).forEach(name => {
+            const articlePath = `${section}/${name}/`;
+            const articleBuildDir = path.join(sectionBuildDir, name);
+            const article = articlesByPath.get(articlePath);
+            if (!article) {
+                removePath(articleBuildDir, articlePath);
+                return;
+            }
+            const expectedFiles = getExpectedArticleFiles(article);
+            fs.readdirSync(articleBuildDir).forEach(file => {
+                if (!expectedFiles.has(file)) {
+                    removePath(path.join(articleBuildDir, file), `${articlePath}${file}`);
+                }
+            });
+        });
+    });
+
+    // Pages and feeds of tags that no article uses anymore
+    const tagsBuildDir = path.join(BUILD, 'tags');
+    if (fs.existsSync(tagsBuildDir)) {
+        const tagSlugs = new Set(groupArticlesByTag(getListedArticles(articles)).map(tag => tag.slug));
+        fs.readdirSync(tagsBuildDir).forEach(name => {
+            const tagBuildDir = path.join(tagsBuildDir, name);
+            if (fs.statSync(tagBuildDir).isDirectory() && !tagSlugs.has(name)) {
+                removePath(tagBuildDir, `tags/${name}/`);
+            }
+        });
+    }
+
+    // Cache entries for images or articles that no longer exist
+    const cache = getImageCache();
+    const currentKeys = new Set();
+    articles.forEach(article => {
+        article.images.forEach(imageFile => currentKeys.add(getImageCacheKey(article.slug, imageFile)));
+    });
+    const staleKeys = Object.keys(cache.images).filter(key => !currentKeys.has(key));
+    staleKeys.forEach(key => {
+        console.log(`  ${verb} cache entry ${key}`);
+        if (!dryRun) {
+            delete cache.images[key];
+        }
+    });
+    if (!dryRun && staleKeys.length > 0) {
+        saveImageCache(cache);
+    }
+
+    console.log(`${verb} ${removedFiles} files/directories (${formatBytes(removedBytes)}) and ${staleKeys.length} cache entries`);
+}
+
+// Content types for the preview server
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.geojson': 'application/geo+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+// Injected into served HTML only, so the build output itself never contains it
+const LIVE_RELOAD_SNIPPET = `<script>
+    new EventSource('/__livereload').addEventListener('reload', () => location.reload());
+</script>`;
+
+// Serve the build directory and push reload events to open pages
+function startServer(port) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(req.url.split('?')[0]);
+        } catch (error) {
+            // A malformed escape such as %E0%A4%A must not take the server down
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+
+        if (urlPath === '/__livereload') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        // Resolve inside the build directory only; a bare prefix check would also let through
+        // siblings such as build-manifest.json
+        const root = path.resolve(BUILD);
+        let filePath = path.resolve(root, '.' + urlPath);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            if (!urlPath.endsWith('/')) {
+                // Redirect to the resolved path, never to the raw one: //evil.com/.. would leave the site
+                const location = `/${path.relative(root, filePath).split(path.sep).join('/')}/`.replace(/^\/+/, '/');
+                res.writeHead(301, { Location: location });
+                res.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+        }
+        if (!fs.existsSync(filePath)) {
+            const notFoundPage = path.join(root, '404.html');
+            if (fs.existsSync(notFoundPage)) {
+                res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+                res.end(fs.readFileSync(notFoundPage, 'utf8').replace('</body>', `${LIVE_RELOAD_SNIPPET}\n</body>`));
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+            }
+            return;
+        }
+
+        const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+        if (path.extname(filePath) === '.html') {
+            const html = fs.readFileSync(filePath, 'utf8');
+            res.end(html.replace('</body>', `${LIVE_RELOAD_SNIPPET}\n</body>`));
+        } else {
+            fs.createReadStream(filePath).pipe(res);
         }
+    });
 
-        const widths = Object.keys(cached.variants).map(n => parseInt(n, 10)).sort((a,b)=>a-b);
-        const makeSrcSet = (fmt) => widths.map(w => `${cached.variants[w][fmt].filename} ${w}w`).join(', ');
-        const maxW = Math.max(...widths);
-        const largestJpg = cached.variants[maxW].jpg.filename;
+    server.listen(port, () => {
+        console.log(`Serving ${BUILD}/ at http://localhost:${port}/`);
+    });
 
-        // Build sizes attribute capped by intrinsic max width to avoid upscaling
-        const size768 = '100vw';
-        const size1024 = Math.min(960, maxW) + 'px';
-        const size1440 = Math.min(1100, maxW) + 'px';
-        const sizeDefault = Math.min(1440, maxW) + 'px';
-        const sizesAttr = `(max-width: 768px) ${size768}, (max-width: 1024px) ${size1024}, (max-width: 1440px) ${size1440}, ${sizeDefault}`;
+    return {
+        reload() {
+            clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+        }
+    };
+}
 
-        const picture = `
-<picture>
-  <source srcset="${makeSrcSet('avif')}" type="image/avif" sizes="${sizesAttr}">
-  <source srcset="${makeSrcSet('webp')}" type="image/webp" sizes="${sizesAttr}">
-  <img src="${largestJpg}" srcset="${makeSrcSet('jpg')}" sizes="${sizesAttr}" alt="${altText}">
-</picture>`;
-        return picture;
+// Work out the smallest rebuild for a batch of changed source paths
+function planRebuild(changedPaths) {
+    const plan = { full: false, statics: false, templates: false, articles: new Set(), images: new Set() };
+
+    changedPaths.forEach(changedPath => {
+        if (THEME_DIRS.some(dir => !path.relative(dir, path.resolve(changedPath)).startsWith('..'))) {
+            plan.templates = true;
+            return;
+        }
+        const relative = path.relative(RAW_ARTICLES, changedPath);
+        if (relative.startsWith('..')) {
+            plan.statics = true;
+            return;
+        }
+        const [slug, file] = relative.split(path.sep);
+        if (!file) {
+            // An article directory was added or removed
+            plan.full = true;
+        } else if (file === 'index.md' || getTranslationLanguage(file)) {
+            plan.articles.add(slug);
+        } else if (isImageFile(file)) {
+            plan.articles.add(slug);
+            plan.images.add(getImageCacheKey(slug, file));
+        }
     });
-}
 
+    return plan;
+}
 
-// Build individual articles
-async function buildArticles() {
-    console.log('Building articles...');
-    
+// Apply a rebuild plan; image variants come from the cache unless an image itself changed
+async function rebuild(plan) {
     const articles = getArticles();
-    
-    for (const article of articles) {
-        console.log(`  Building ${article.slug}...`);
-        
-        const indexPath = path.join(RAW_ARTICLES, article.slug, 'index.md');
-        const content = fs.readFileSync(indexPath, 'utf8');
-        const { body } = frontMatter(content);
-        
-        // Process and copy article images (generate responsive variants first)
-        const articleDir = path.join(RAW_ARTICLES, article.slug);
-        const files = fs.readdirSync(articleDir);
-        const imageFiles = files.filter(file => 
-            file.endsWith('.jpg') || file.endsWith('.jpeg') || file.endsWith('.png') || file.endsWith('.gif')
-        );
+    // Static assets (the CSS hash) and templates affect every page
+    const allPages = plan.statics || plan.templates;
+
+    if (plan.templates) {
+        templateCache = {};
+        sharedInputsHash = null;
+        copyThemeStylesheet();
+        copyThemeScripts();
+    }
 
-        // Ensure destination directory exists
-        const articleBuildDir = path.join(BUILD, 'articles', article.slug);
-        if (!fs.existsSync(articleBuildDir)) {
-            fs.mkdirSync(articleBuildDir, { recursive: true });
+    if (plan.full) {
+        await buildArticles(articles);
+    } else {
+        if (plan.statics) {
+            copyStaticAssets();
         }
-
-        // Generate image variants and keep track of largest for meta
-        const variantsByImage = {};
-        for (const imageFile of imageFiles) {
-            const sourcePath = path.join(articleDir, imageFile);
-            const { variants, largestWidth, largestJpgFilename } = await generateImageVariants(sourcePath, articleBuildDir, article.slug, imageFile);
-            variantsByImage[imageFile] = { variants, largestWidth, largestJpgFilename };
+        const slugs = allPages ? articles.map(article => article.slug) : [...plan.articles];
+        const changedArticles = articles.filter(article => slugs.includes(article.slug));
+        if (plan.images.size > 0) {
+            await processArticleImages(changedArticles, plan.images);
         }
+        await processCoverThumbnails(changedArticles);
+        // Pages linking to a changed article show its title and cover, so they are rendered again too
+        const linksToChanged = article => {
+            const { previous, next, related } = getArticleNavigation(article, articles);
+            return [previous, next, ...related].some(other => changedArticles.includes(other));
+        };
+        articles
+            .filter(article => changedArticles.includes(article) || linksToChanged(article))
+            .forEach(article => renderArticle(article, articles));
+    }
 
-        // Process markdown content
-        const processedContent = marked.parse(body);
-        // Replace <img> with <picture> based on cache/variants
-        const withPictures = replaceImagesWithPicture(processedContent, article.slug);
-        // Add class to text paragraphs (not image-only paragraphs)
-        const withTextClasses = addTextClassToParagraphs(withPictures);
-        // Apply typography improvements
-        const finalContent = typogr.typogrify(withTextClasses);
-        
-        // Extract first image from markdown content for social media
-        const firstImageFromContent = extractFirstImageFromMarkdown(body);
-        const firstImage = firstImageFromContent || (imageFiles.length > 0 ? imageFiles[0] : null);
-
-        // Extract description from markdown content
-        const description = extractDescriptionFromMarkdown(body, article.title);
+    buildMainPage(articles);
+    await generateFeeds(articles);
+    await buildTagPages(articles);
+    buildPlacesPage(articles);
+    buildSearchPages(articles);
+    generateSitemap(articles);
+    generateRobotsTxt(articles);
+    if (allPages) {
+        buildNotFoundPage();
+    }
+    flushImageCache();
+    saveBuildManifest();
+}
 
-        // Determine best social image (largest JPG variant, max 2200)
-        let socialImageFilename = firstImage || '';
-        if (firstImage && variantsByImage[firstImage] && variantsByImage[firstImage].variants) {
-            const widths = Object.keys(variantsByImage[firstImage].variants).map(n => parseInt(n, 10));
-            if (widths.length > 0) {
-                const largestW = Math.max(...widths);
-                socialImageFilename = variantsByImage[firstImage].variants[largestW].jpg.filename;
+// Watch raw articles and static assets, rebuilding only what changed
+function watchSources(onRebuilt) {
+    let pending = new Set();
+    let timer = null;
+    let running = Promise.resolve();
+
+    const flush = () => {
+        const changedPaths = [...pending];
+        pending = new Set();
+        running = running.then(async () => {
+            const plan = planRebuild(changedPaths);
+            console.log(`\nChanged: ${changedPaths.join(', ')}`);
+            try {
+                await rebuild(plan);
+                console.log('Rebuild completed');
+                onRebuilt();
+            } catch (error) {
+                console.error('Rebuild failed:', error);
             }
+        });
+    };
+
+    [RAW_ARTICLES, STATIC, ...THEME_DIRS].forEach(dir => {
+        if (!fs.existsSync(dir)) {
+            return;
         }
+        fs.watch(dir, { recursive: true }, (eventType, filename) => {
+            if (!filename || path.basename(filename).startsWith('.')) {
+                return;
+            }
+            pending.add(path.join(dir, filename));
+            // Editors often write several times in a row; batch them into one rebuild
+            clearTimeout(timer);
+            timer = setTimeout(flush, 200);
+        });
+    });
 
-        // Create social media metadata
-        const socialMeta = {
-            slug: article.slug,
-            title: article.title,
-            description: description,
-            image: socialImageFilename,
-            type: 'article',
-            url: `${config.url}articles/${article.slug}/`
-        };
-        
-        // Generate article HTML with social media metadata
-        const articleContent = `
-            <h1 class="text">${article.title}</h1>
-            <p class="date text">${article.date.format('MMMM DD, YYYY')}</p>
-            <article class="article">
-                <section class="content">
-                    ${finalContent}
-                </section>
-            </article>
-            <footer class="article-footer text">
-                <p class="center"><a href="/">other stories</a></p>
-            </footer>
-        `;
-        
-        const html = generateLayout(`${article.title} - ${config.name}`, articleContent, 'article-detail', `${config.url}articles/${article.slug}/`, socialMeta, false);
-        
-        // Write article HTML
-        fs.writeFileSync(path.join(articleBuildDir, 'index.html'), html);
-    }
+    console.log(`Watching ${RAW_ARTICLES}/, ${STATIC}/ and the theme for changes...`);
 }
 
-// Get image dimensions using ImageMagick
-async function getImageDimensions(imagePath) {
-    try {
-        const { stdout } = await execAsync(`identify -format "%wx%h" "${imagePath}"`);
-        const [width, height] = stdout.trim().split('x').map(Number);
-        return { width, height };
-    } catch (error) {
-        return { width: 0, height: 0 };
+// Build once, then optionally serve the output and rebuild on changes
+async function develop() {
+    await build();
+    const server = SERVE ? startServer(PORT) : null;
+    if (WATCH) {
+        watchSources(() => server && server.reload());
     }
 }
 
-// Generate cache-busting hash from lastModified timestamp
-function generateCacheBustingHash(lastModified) {
-    if (!lastModified) {
-        return '';
+// Cache lifetimes: files with a content hash in their name never change, pages and feeds are refreshed often
+const CACHE_CONTROL_IMMUTABLE = 'public, max-age=31536000, immutable';
+const CACHE_CONTROL_DOCUMENT = 'public, max-age=300, must-revalidate';
+const CACHE_CONTROL_DEFAULT = 'public, max-age=86400';
+
+// Cache-Control header for a file in the build directory, e.g. main-<hash>.css or photo-960-<hash>.jpg
+function getCacheControl(file) {
+    if (/-[0-9a-f]{8}\.(?:css|js|jpe?g|png|gif|webp|avif)$/.test(file)) {
+        return CACHE_CONTROL_IMMUTABLE;
     }
-    // Create a short hash from the timestamp for cache busting
-    const hash = crypto.createHash('md5').update(lastModified).digest('hex').substring(0, 8);
-    return `-${hash}`;
+    if (/\.(?:html|xml|json|geojson|txt)$/.test(file)) {
+        return CACHE_CONTROL_DOCUMENT;
+    }
+    return CACHE_CONTROL_DEFAULT;
 }
 
-// Image dimension cache management
-function loadImageCache() {
+// Deployed files per target: their hash, and the size and modification time they had when they were hashed
+function loadDeployManifest() {
     try {
-        if (fs.existsSync(IMAGE_CACHE_FILE)) {
-            const cacheData = fs.readFileSync(IMAGE_CACHE_FILE, 'utf8');
-            return JSON.parse(cacheData);
+        if (fs.existsSync(DEPLOY_MANIFEST_FILE)) {
+            return JSON.parse(fs.readFileSync(DEPLOY_MANIFEST_FILE, 'utf8'));
         }
     } catch (error) {
-        console.warn('Warning: Could not load image cache, starting fresh:', error.message);
+        console.warn('Warning: Could not load deploy manifest, deploying all files:', error.message);
     }
-    
-    return {
-        version: '2.0',
-        lastUpdated: new Date().toISOString(),
-        images: {}
-    };
+    return { version: '1.0', targets: {} };
 }
 
-function saveImageCache(cache) {
+function saveDeployManifest(manifest) {
     try {
-        cache.lastUpdated = new Date().toISOString();
-        fs.writeFileSync(IMAGE_CACHE_FILE, JSON.stringify(cache, null, 2));
+        const tmpFile = `${DEPLOY_MANIFEST_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmpFile, DEPLOY_MANIFEST_FILE);
     } catch (error) {
-        console.error('Error saving image cache:', error.message);
+        console.error('Error saving deploy manifest:', error.message);
     }
 }
 
-function getImageCacheKey(articleSlug, imageFilename) {
-    return `articles/${articleSlug}/${imageFilename}`;
+// Run a command with some input on stdin, rejecting when it exits with an error
+function runWithInput(command, commandArgs, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, commandArgs, { stdio: ['pipe', 'inherit', 'inherit'] });
+        child.on('error', reject);
+        child.on('close', code => code === 0 ? resolve() : reject(new Error(`${command} exited with code ${code}`)));
+        child.stdin.end(input);
+    });
 }
 
-function getCachedImageDimensions(articleSlug, imageFilename) {
-    const cache = IMAGE_CACHE || loadImageCache();
-    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
-    const cachedImage = cache.images[cacheKey];
-    
-    if (!cachedImage) {
-        return null;
+// Deploy target that copies the build into a local directory, e.g. one served by a web server
+function createDirectoryTarget(settings) {
+    const root = path.resolve(settings.destination);
+    return {
+        id: `directory:${root}`,
+        async upload(files, onUploaded) {
+            for (const file of files) {
+                const destination = path.join(root, file.path);
+                ensureDirExists(path.dirname(destination));
+                fs.copyFileSync(path.join(BUILD, file.path), destination);
+                onUploaded(file);
+            }
+        },
+        async remove(files, onRemoved) {
+            for (const file of files) {
+                const destination = path.join(root, file);
+                if (fs.existsSync(destination)) {
+                    fs.unlinkSync(destination);
+                }
+                // Leave no empty article directories behind
+                let dir = path.dirname(destination);
+                while (dir !== root && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                    fs.rmdirSync(dir);
+                    dir = path.dirname(dir);
+                }
+                onRemoved(file);
+            }
+        }
+    };
+}
+
+// Deploy target that transfers the changed files with one rsync run; cache headers are up to the web server
+function createRsyncTarget(settings) {
+    const destination = settings.destination.replace(/\/?$/, '/');
+    return {
+        id: `rsync:${destination}`,
+        async upload(files, onUploaded) {
+            if (files.length === 0) {
+                return;
+            }
+            await runWithInput('rsync', ['-a', '--files-from=-', `${BUILD}/`, destination], files.map(file => file.path).join('\n'));
+            files.forEach(onUploaded);
+        },
+        async remove(files, onRemoved) {
+            if (files.length === 0) {
+                return;
+            }
+            // The files no longer exist in the build, so rsync deletes them on the other side
+            await runWithInput('rsync', ['-a', '--delete-missing-args', '--files-from=-', `${BUILD}/`, destination], files.join('\n'));
+            files.forEach(onRemoved);
+        }
+    };
+}
+
+// Encode a URI path segment the way AWS Signature Version 4 expects (RFC 3986)
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Headers for a request signed with AWS Signature Version 4; every given header is signed
+function signAwsRequest({ method, host, path: requestPath, query = '', headers = {}, payloadHash }, credentials, region, service, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (credentials.sessionToken) {
+        signed['x-amz-security-token'] = credentials.sessionToken;
     }
-    
+    const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const values = Object.fromEntries(Object.keys(signed).map(name => [name.toLowerCase(), String(signed[name]).trim().replace(/\s+/g, ' ')]));
+    const canonicalHeaders = names.map(name => `${name}:${values[name]}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [method, requestPath, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const signingKey = [dateStamp, region, service, 'aws4_request'].reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
     return {
-        width: cachedImage.width || (cachedImage.original && cachedImage.original.width) || 0,
-        height: cachedImage.height || (cachedImage.original && cachedImage.original.height) || 0,
-        size: cachedImage.size || 0
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
     };
 }
 
-function updateImageCache(articleSlug, imageFilename, imagePath, dimensions, fileSize) {
-    const cache = IMAGE_CACHE || loadImageCache();
-    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
-    
-    try {
-        let fileModified = new Date().toISOString();
-        
-        cache.images[cacheKey] = {
-            ...(cache.images[cacheKey] || {}),
-            width: dimensions.width,
-            height: dimensions.height,
-            size: fileSize,
-            lastModified: fileModified,
-            processed: true
-        };
-        
-        IMAGE_CACHE = cache;
-        saveImageCache(IMAGE_CACHE);
-        console.log(`\tCACHED dimensions for ${articleSlug}/${imageFilename}`);
-    } catch (error) {
-        console.warn(`Warning: Could not update cache for ${imageFilename}:`, error.message);
+// Deploy target for S3 and S3-compatible storage, addressed as s3://bucket/prefix with path-style URLs so a
+// local stand-in (e.g. MinIO) works too; credentials come from AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY
+function createS3Target(settings) {
+    const match = settings.destination.match(/^s3:\/\/([^/]+)\/?(.*)$/);
+    if (!match) {
+        throw new Error(`deploy.destination must look like s3://bucket/prefix for the s3 target (got "${settings.destination}")`);
+    }
+    const [, bucket, rawPrefix] = match;
+    const prefix = rawPrefix && !rawPrefix.endsWith('/') ? `${rawPrefix}/` : rawPrefix;
+    const credentials = {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.AWS_SESSION_TOKEN
+    };
+    if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+        throw new Error('Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY to deploy to S3');
     }
+    const endpoint = new URL(settings.endpoint || `https://s3.${settings.region}.amazonaws.com`);
+    const client = endpoint.protocol === 'https:' ? https : http;
+    // Uploads are network-bound, so a few run side by side whatever --jobs is
+    const queue = createTaskQueue(4);
+
+    const send = (method, key, body = Buffer.alloc(0), headers = {}) => new Promise((resolve, reject) => {
+        const requestPath = `/${[bucket, ...`${prefix}${key}`.split('/')].map(encodeRfc3986).join('/')}`;
+        const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+        const signedHeaders = signAwsRequest({ method, host: endpoint.host, path: requestPath, headers, payloadHash }, credentials, settings.region, 's3');
+        const request = client.request({
+            method,
+            protocol: endpoint.protocol,
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            path: requestPath,
+            headers: { ...signedHeaders, 'content-length': body.length }
+        }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    const message = Buffer.concat(chunks).toString('utf8').slice(0, 200);
+                    reject(new Error(`S3 ${method} ${prefix}${key} failed with status ${response.statusCode}: ${message}`));
+                }
+            });
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+
+    return {
+        id: `s3:${endpoint.host}/${bucket}/${prefix}`,
+        async upload(files, onUploaded) {
+            await Promise.all(files.map(file => queue.add(async () => {
+                const contentType = MIME_TYPES[path.extname(file.path).toLowerCase()] || 'application/octet-stream';
+                await send('PUT', file.path, fs.readFileSync(path.join(BUILD, file.path)), {
+                    'cache-control': file.cacheControl,
+                    'content-type': contentType
+                });
+                onUploaded(file);
+            })));
+        },
+        async remove(files, onRemoved) {
+            await Promise.all(files.map(file => queue.add(async () => {
+                await send('DELETE', file);
+                onRemoved(file);
+            })));
+        }
+    };
 }
 
-function updateImageCacheWithVariants(articleSlug, imageFilename, destDir, originalDimensions, variants, largestWidth, largestSize) {
-    const cache = IMAGE_CACHE || loadImageCache();
-    const cacheKey = getImageCacheKey(articleSlug, imageFilename);
-    try {
-        cache.images[cacheKey] = {
-            versioned: true,
-            original: originalDimensions,
-            largestWidth,
-            size: largestSize,
-            lastModified: new Date().toISOString(),
-            processed: true,
-            variants
+// Deploy targets by the `deploy.target` setting. Each one is created from the deploy settings and has an `id`
+// naming where it deploys to, `upload(files, onUploaded)` and `remove(files, onRemoved)`, with paths relative
+// to the build directory
+const DEPLOY_TARGETS = {
+    directory: createDirectoryTarget,
+    rsync: createRsyncTarget,
+    s3: createS3Target
+};
+
+// Upload new and changed build files to the deploy target, and remove the ones no longer built with --delete
+async function deploy() {
+    if (!DEPLOY_SETTINGS.destination) {
+        throw new Error('Set deploy.destination in the site configuration to deploy');
+    }
+    const target = DEPLOY_TARGETS[DEPLOY_SETTINGS.target](DEPLOY_SETTINGS);
+    const manifest = loadDeployManifest();
+    const previous = manifest.targets[target.id] || {};
+
+    // Files are only hashed again when their size or modification time changed since the last deploy
+    const files = listFiles(BUILD).map(file => path.relative(BUILD, file).split(path.sep).join('/'));
+    const current = {};
+    for (const file of files) {
+        const stats = fs.statSync(path.join(BUILD, file));
+        const known = previous[file];
+        const unchangedStats = known && known.size === stats.size && known.mtimeMs === stats.mtimeMs;
+        current[file] = {
+            hash: unchangedStats ? known.hash : await hashFile(path.join(BUILD, file)),
+            size: stats.size,
+            mtimeMs: stats.mtimeMs
         };
+    }
+    const changed = files.filter(file => !previous[file] || previous[file].hash !== current[file].hash);
+    const orphans = Object.keys(previous).filter(file => !current[file]);
+
+    console.log(`Deploying to ${target.id}: ${changed.length} of ${files.length} files new or changed, ${orphans.length} no longer built`);
+    if (DRY_RUN) {
+        changed.forEach(file => console.log(`  Would upload ${file}`));
+        (DEPLOY_DELETE ? orphans : []).forEach(file => console.log(`  Would remove ${file}`));
+        return;
+    }
 
-        IMAGE_CACHE = cache;
-        saveImageCache(IMAGE_CACHE);
-        console.log(`\tCACHED variants for ${articleSlug}/${imageFilename}`);
-    } catch (error) {
-        console.warn(`Warning: Could not update variant cache for ${imageFilename}:`, error.message);
+    // Pages go last, so they never link to assets that are not uploaded yet
+    const uploads = _.sortBy(changed.map(file => ({ path: file, cacheControl: getCacheControl(file) })),
+        file => file.cacheControl === CACHE_CONTROL_DOCUMENT ? 1 : 0);
+    const deployed = { ...previous };
+    files.filter(file => !changed.includes(file)).forEach(file => {
+        deployed[file] = current[file];
+    });
+    let uploadedBytes = 0;
+    try {
+        await target.upload(uploads, file => {
+            deployed[file.path] = current[file.path];
+            uploadedBytes += current[file.path].size;
+            console.log(`  Uploaded ${file.path}`);
+        });
+        if (DEPLOY_DELETE) {
+            await target.remove(orphans, file => {
+                delete deployed[file];
+                console.log(`  Removed ${file}`);
+            });
+        }
+    } finally {
+        // Whatever made it to the target is recorded, so a failed deploy resumes where it stopped
+        manifest.targets[target.id] = deployed;
+        saveDeployManifest(manifest);
+    }
+    console.log(`Uploaded ${changed.length} files (${formatBytes(uploadedBytes)})${DEPLOY_DELETE ? `, removed ${orphans.length}` : ''}`);
+    if (!DEPLOY_DELETE && orphans.length > 0) {
+        console.log(`${orphans.length} files that are no longer built were left on the target; deploy with --delete to remove them`);
     }
 }
 
-// Generate RSS feed
-async function generateRSSFeed() {
-    console.log('Generating RSS feed...');
-    
-    const articles = getArticles();
-    
-    // Process image metadata for all articles using cache when possible
-    const articlesWithMetadata = await Promise.all(articles.map(async (article) => {
-        const processedImages = await Promise.all(article.imageMetadata.map(async (imageMeta) => {
-            // Use cache dimensions only
-            const cachedDimensions = getCachedImageDimensions(article.slug, imageMeta.filename);
-            return {
-                ...imageMeta,
-                ...(cachedDimensions || { width: 0, height: 0, size: imageMeta.size || 0 })
-            };
-        }));
-        
-        // Select a single largest JPG variant based on the article's primary image
-        const cache = IMAGE_CACHE || loadImageCache();
-        let rssImage = null;
-        if (article.image) {
-            const key = getImageCacheKey(article.slug, article.image);
-            const cached = cache.images[key];
-            if (cached && cached.variants) {
-                const widths = Object.keys(cached.variants).map(n => parseInt(n, 10));
-                if (widths.length > 0) {
-                    const w = Math.max(...widths);
-                    const jpg = cached.variants[w].jpg;
-                    rssImage = {
-                        filename: jpg.filename,
-                        width: jpg.width || w,
-                        height: jpg.height || 0,
-                        size: jpg.size || 0
-                    };
+// Date formats accepted in front matter
+const FRONT_MATTER_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm:ssZ'];
+
+// The unparsed text of a front matter field, e.g. "2019-13-45" for `date: 2019-13-45`
+function getRawFrontMatterValue(rawFrontMatter, key) {
+    const match = (rawFrontMatter || '').match(new RegExp(`^${key}:[ \\t]*["']?(.*?)["']?[ \\t]*$`, 'm'));
+    return match ? match[1] : null;
+}
+
+// YAML silently rolls impossible dates such as 2019-13-45 over into valid ones, so check the raw text strictly
+function isValidFrontMatterDate(rawFrontMatter, key) {
+    const raw = getRawFrontMatterValue(rawFrontMatter, key);
+    return raw !== null && moment(raw, FRONT_MATTER_DATE_FORMATS, true).isValid();
+}
+
+// Check every article for problems that would otherwise only show up on the live site
+function checkContent(strict = false) {
+    console.log('Checking content...');
+
+    const problems = [];
+    const report = (slug, level, message) => problems.push({ slug, level, message });
+
+    const articleDirs = fs.readdirSync(RAW_ARTICLES).filter(name => fs.statSync(path.join(RAW_ARTICLES, name)).isDirectory());
+
+    // Slugs that only differ in case end up on the same URL on case-insensitive hosts
+    const slugsByKey = {};
+    articleDirs.forEach(dir => {
+        const key = dir.toLowerCase();
+        slugsByKey[key] = (slugsByKey[key] || []).concat(dir);
+    });
+    Object.values(slugsByKey).filter(slugs => slugs.length > 1).forEach(slugs => {
+        slugs.forEach(slug => report(slug, 'error', `duplicate slug, also used by ${slugs.filter(other => other !== slug).join(', ')}`));
+    });
+
+    articleDirs.forEach(dir => {
+        const articleDir = path.join(RAW_ARTICLES, dir);
+        const indexPath = path.join(articleDir, 'index.md');
+        if (!fs.existsSync(indexPath)) {
+            report(dir, 'warning', 'directory has no index.md and is not published');
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = frontMatter(fs.readFileSync(indexPath, 'utf8'));
+        } catch (error) {
+            report(dir, 'error', `front matter cannot be parsed: ${error.message}`);
+            return;
+        }
+        const { attributes, body, frontmatter: rawFrontMatter } = parsed;
+
+        if (typeof attributes.title !== 'string' || attributes.title.trim() === '') {
+            report(dir, 'error', 'missing or empty title');
+        }
+        if (!attributes.date) {
+            report(dir, 'error', 'missing date');
+        }
+        ['date', 'publishDate', 'updated'].forEach(key => {
+            if (attributes[key] && !isValidFrontMatterDate(rawFrontMatter, key)) {
+                report(dir, 'error', `invalid ${key} "${getRawFrontMatterValue(rawFrontMatter, key)}"`);
+            }
+        });
+
+        const referenced = new Set();
+        const checkImages = (markdown, source) => {
+            // Problems in translations name the file they are in
+            const where = source === 'index.md' ? '' : ` in ${source}`;
+            extractMarkdownImages(markdown).forEach(image => {
+                if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(image.href)) {
+                    return; // Remote images are not ours to check
+                }
+                const filename = decodeURI(image.href.split('?')[0]);
+                referenced.add(path.basename(filename));
+                if (!fs.existsSync(path.join(articleDir, filename))) {
+                    report(dir, 'error', `image "${image.href}"${where} does not exist`);
                 }
+                if (!image.text || image.text.trim() === '') {
+                    report(dir, 'warning', `image "${image.href}"${where} has no alt text`);
+                }
+            });
+        };
+        checkImages(body, 'index.md');
+
+        fs.readdirSync(articleDir).filter(getTranslationLanguage).forEach(file => {
+            let translation;
+            try {
+                translation = frontMatter(fs.readFileSync(path.join(articleDir, file), 'utf8'));
+            } catch (error) {
+                report(dir, 'error', `front matter of ${file} cannot be parsed: ${error.message}`);
+                return;
+            }
+            const lang = getTranslationLanguage(file);
+            if (translation.attributes.lang && String(translation.attributes.lang).toLowerCase() !== lang) {
+                report(dir, 'warning', `${file} has lang "${translation.attributes.lang}", the file name makes it "${lang}"`);
             }
+            if (lang === String(attributes.lang || SITE_LANGUAGE).toLowerCase()) {
+                report(dir, 'warning', `${file} has the same language as index.md and is ignored`);
+            }
+            checkImages(translation.body, file);
+        });
+
+        if (attributes.cover) {
+            if (!fs.existsSync(path.join(articleDir, String(attributes.cover)))) {
+                report(dir, 'error', `cover "${attributes.cover}" does not exist`);
+            }
+            referenced.add(String(attributes.cover));
         }
-        // Fallback: pick the widest processed image if variants not found
-        if (!rssImage && processedImages.length > 0) {
-            const widest = processedImages.reduce((a, b) => (b.width || 0) > (a.width || 0) ? b : a, processedImages[0]);
-            rssImage = {
-                filename: widest.filename,
-                width: widest.width || 0,
-                height: widest.height || 0,
-                size: widest.size || 0
-            };
+        if (attributes.location !== undefined && !parseLocation(attributes.location)) {
+            report(dir, 'error', 'invalid location, use "Place, Country" or name, country and coordinates: [latitude, longitude]');
+        }
+        if (!parseFocalPoint(attributes.coverFocus)) {
+            report(dir, 'error', `invalid coverFocus "${attributes.coverFocus}", use e.g. "30% 60%" or "top"`);
         }
 
-        return {
-            ...article,
-            rssImage
-        };
-    }));
-    
-    const rssContent = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
-    <channel>
-        <title>${config.name}</title>
-        <link>${config.url}</link>
-        <description>${config.description}</description>
-        <language>en</language>
-        <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-        ${articlesWithMetadata.map(article => `
-        <item>
-            <title>${article.title}</title>
-            <link>${config.url}articles/${article.slug}/</link>
-            <guid>${config.url}articles/${article.slug}/</guid>
-            <pubDate>${article.date.toDate().toUTCString()}</pubDate>
-            <description><![CDATA[${article.description}]]></description>
-            <author>${config.owner}</author>
-            ${article.rssImage ? `<media:content url="${config.url}articles/${article.slug}/${article.rssImage.filename}" type="image/jpeg" medium="image" fileSize="${article.rssImage.size || ''}"${article.rssImage.width > 0 ? ` width="${article.rssImage.width}" height="${article.rssImage.height}"` : ''} />` : ''}
-        </item>`).join('')}
-    </channel>
-</rss>`;
-    
-    fs.writeFileSync(path.join(BUILD, 'feed.xml'), rssContent);
+        fs.readdirSync(articleDir).filter(isImageFile).forEach(file => {
+            if (!referenced.has(file)) {
+                report(dir, 'warning', `image "${file}" is not used in index.md`);
+            }
+        });
+        describeUnsupportedFiles(getUnsupportedFiles(articleDir)).forEach(message => report(dir, 'warning', message));
+    });
+
+    // Group the report by article
+    _.uniq(problems.map(problem => problem.slug)).sort().forEach(slug => {
+        console.log(slug);
+        problems.filter(problem => problem.slug === slug).forEach(problem => {
+            console.log(`  ${problem.level === 'error' ? 'error  ' : 'warning'} ${problem.message}`);
+        });
+    });
+
+    const errors = problems.filter(problem => problem.level === 'error').length;
+    const warnings = problems.length - errors;
+    console.log(`${errors} errors, ${warnings} warnings in ${articleDirs.length} articles`);
+    return errors === 0 && (!strict || warnings === 0);
 }
 
 // Main build function
@@ -858,11 +3698,38 @@ async function build() {
     try {
         // Load image cache once into memory
         IMAGE_CACHE = loadImageCache();
+        BUILD_MANIFEST = loadBuildManifest();
         copyStaticAssets();
-        buildMainPage();
-        await buildArticles();
-        await generateRSSFeed();
+        copyThemeStylesheet();
+        copyThemeScripts();
+        const articles = getArticles();
+        let onlyArticles = articles;
+        if (ONLY_SLUG) {
+            // All language versions of the article are rebuilt together
+            onlyArticles = articles.filter(article => article.slug === ONLY_SLUG);
+            if (onlyArticles.length === 0) {
+                console.error(`No article with the slug "${ONLY_SLUG}"`);
+                process.exit(1);
+            }
+            console.log(`Only building ${ONLY_SLUG} and the pages listing it`);
+        }
+        await buildArticles(articles, onlyArticles);
+        buildMainPage(articles);
+        await generateFeeds(articles);
+        await buildTagPages(articles);
+        buildPlacesPage(articles);
+        buildSearchPages(articles);
+        generateSitemap(articles);
+        generateRobotsTxt(articles);
+        buildNotFoundPage();
+        // Other articles' images were not processed, so their cache entries would look stale
+        if (!ONLY_SLUG) {
+            pruneBuild(DRY_RUN, articles);
+        }
+        flushImageCache();
+        saveBuildManifest();
         
+        console.log(`${pageStats.written} pages written, ${pageStats.skipped} unchanged`);
         console.log('Build completed successfully!');
     } catch (error) {
         console.error('Build failed:', error);
@@ -872,8 +3739,33 @@ async function build() {
 
 // Run build if this script is executed directly
 if (require.main === module) {
-    build();
+    try {
+        configure();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    // Keep the work of a failed or interrupted build, so its images are not processed again
+    process.on('exit', flushImageCache);
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(128 + os.constants.signals[signal])));
+    if (CHECK_ONLY) {
+        process.exit(checkContent(args.includes('--strict')) ? 0 : 1);
+    } else if (PRUNE_ONLY) {
+        pruneBuild(DRY_RUN);
+    } else if (WATCH || SERVE) {
+        develop();
+    } else if (DEPLOY) {
+        build()
+            .then(deploy)
+            .then(() => console.log('Deploy completed successfully!'))
+            .catch(error => {
+                console.error('Deploy failed:', error.message);
+                process.exit(1);
+            });
+    } else {
+        build();
+    }
 }
 
-module.exports = { build, generateLayout, getArticles };
+module.exports = { configure, build, pruneBuild, checkContent, generateLayout, getArticles };
 
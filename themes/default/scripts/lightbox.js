@@ -0,0 +1,200 @@
+// Full-screen photo viewer for article pages built with the `lightbox` option.
+// Opens any <picture data-photo> full-screen, steps through the article's photos with the
+// arrow keys or a swipe, and keeps the open photo in the URL (#photo-<name>) so it can be linked to.
+(function () {
+    var pictures = Array.prototype.slice.call(document.querySelectorAll('picture[data-photo]'));
+    if (pictures.length === 0) {
+        return;
+    }
+
+    var HASH_PREFIX = '#photo-';
+    var current = -1;
+    var openedFromPage = false;
+    var returnFocus = null;
+
+    var overlay = document.createElement('div');
+    overlay.className = 'lightbox';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Photo viewer');
+    overlay.hidden = true;
+    overlay.style.cssText = 'position: fixed; inset: 0; z-index: 1000; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.95); color: #fff; touch-action: pan-y;';
+    overlay.innerHTML =
+        '<figure class="lightbox-figure" style="margin: 0; text-align: center;"></figure>' +
+        '<button type="button" class="lightbox-close" aria-label="Close" style="position: absolute; top: 0.5em; right: 0.5em;">&times;</button>' +
+        '<button type="button" class="lightbox-prev" aria-label="Previous photo" style="position: absolute; left: 0.5em; top: 50%;">&lsaquo;</button>' +
+        '<button type="button" class="lightbox-next" aria-label="Next photo" style="position: absolute; right: 0.5em; top: 50%;">&rsaquo;</button>';
+    document.body.appendChild(overlay);
+
+    var figure = overlay.querySelector('.lightbox-figure');
+    var closeButton = overlay.querySelector('.lightbox-close');
+    var prevButton = overlay.querySelector('.lightbox-prev');
+    var nextButton = overlay.querySelector('.lightbox-next');
+
+    // Caption shown under the photo: its figcaption, or else its alt text
+    function captionFor(picture) {
+        var parent = picture.closest('figure');
+        var figcaption = parent && parent.querySelector('figcaption');
+        if (figcaption) {
+            return figcaption.textContent;
+        }
+        var img = picture.querySelector('img');
+        return img ? img.alt : '';
+    }
+
+    // Copy of the picture whose `sizes` match the area it fills on screen, so the
+    // browser picks the best variant for this viewport and pixel density
+    function fullScreenPicture(picture) {
+        var img = picture.querySelector('img');
+        var ratio = img.naturalWidth && img.naturalHeight ? img.naturalWidth / img.naturalHeight : img.width / img.height || 1.5;
+        var reservedHeight = 64; // Room for the caption
+        var width = Math.min(window.innerWidth, (window.innerHeight - reservedHeight) * ratio);
+        var copy = picture.cloneNode(true);
+        copy.removeAttribute('data-photo');
+        Array.prototype.forEach.call(copy.querySelectorAll('source, img'), function (element) {
+            element.setAttribute('sizes', Math.ceil(width) + 'px');
+        });
+        var copyImg = copy.querySelector('img');
+        copyImg.removeAttribute('loading');
+        copyImg.style.cssText = 'display: block; max-width: 100vw; max-height: calc(100vh - ' + reservedHeight + 'px); width: auto; height: auto; margin: 0 auto;';
+        return copy;
+    }
+
+    function show(index) {
+        current = (index + pictures.length) % pictures.length;
+        var picture = pictures[current];
+        var caption = document.createElement('figcaption');
+        caption.textContent = captionFor(picture);
+        caption.style.cssText = 'padding: 0.5em 1em;';
+        figure.innerHTML = '';
+        figure.appendChild(fullScreenPicture(picture));
+        figure.appendChild(caption);
+        prevButton.hidden = nextButton.hidden = pictures.length < 2;
+        if (overlay.hidden) {
+            returnFocus = document.activeElement;
+            overlay.hidden = false;
+            document.documentElement.style.overflow = 'hidden';
+            closeButton.focus();
+        }
+    }
+
+    function hide() {
+        if (overlay.hidden) {
+            return;
+        }
+        overlay.hidden = true;
+        figure.innerHTML = '';
+        current = -1;
+        document.documentElement.style.overflow = '';
+        if (returnFocus) {
+            returnFocus.focus();
+        }
+    }
+
+    function hashFor(index) {
+        return HASH_PREFIX + pictures[index].getAttribute('data-photo');
+    }
+
+    // Index of the photo named in the URL, or -1
+    function indexFromHash() {
+        if (location.hash.indexOf(HASH_PREFIX) !== 0) {
+            return -1;
+        }
+        var name = decodeURIComponent(location.hash.slice(HASH_PREFIX.length));
+        for (var i = 0; i < pictures.length; i++) {
+            if (pictures[i].getAttribute('data-photo') === name) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function open(index) {
+        // A history entry per opening, so the back button closes the viewer
+        history.pushState(null, '', hashFor(index));
+        openedFromPage = true;
+        show(index);
+    }
+
+    function step(offset) {
+        var index = (current + offset + pictures.length) % pictures.length;
+        history.replaceState(null, '', hashFor(index));
+        show(index);
+    }
+
+    function close() {
+        if (openedFromPage) {
+            openedFromPage = false;
+            history.back();
+        } else {
+            history.replaceState(null, '', location.pathname + location.search);
+            hide();
+        }
+    }
+
+    function syncWithUrl() {
+        var index = indexFromHash();
+        if (index === -1) {
+            hide();
+        } else {
+            show(index);
+        }
+    }
+
+    pictures.forEach(function (picture, index) {
+        picture.style.cursor = 'zoom-in';
+        picture.addEventListener('click', function (event) {
+            event.preventDefault();
+            open(index);
+        });
+    });
+
+    closeButton.addEventListener('click', close);
+    prevButton.addEventListener('click', function () { step(-1); });
+    nextButton.addEventListener('click', function () { step(1); });
+    overlay.addEventListener('click', function (event) {
+        if (event.target === overlay) {
+            close();
+        }
+    });
+
+    document.addEventListener('keydown', function (event) {
+        if (overlay.hidden) {
+            return;
+        }
+        if (event.key === 'Escape') {
+            close();
+        } else if (event.key === 'ArrowLeft') {
+            step(-1);
+        } else if (event.key === 'ArrowRight') {
+            step(1);
+        }
+    });
+
+    // Horizontal swipes step through the photos; mostly vertical ones are ignored
+    var touchStart = null;
+    overlay.addEventListener('touchstart', function (event) {
+        touchStart = event.touches.length === 1 ? { x: event.touches[0].clientX, y: event.touches[0].clientY } : null;
+    }, { passive: true });
+    overlay.addEventListener('touchend', function (event) {
+        if (!touchStart) {
+            return;
+        }
+        var dx = event.changedTouches[0].clientX - touchStart.x;
+        var dy = event.changedTouches[0].clientY - touchStart.y;
+        touchStart = null;
+        if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+            step(dx < 0 ? 1 : -1);
+        }
+    });
+
+    window.addEventListener('popstate', syncWithUrl);
+    window.addEventListener('resize', function () {
+        if (!overlay.hidden) {
+            show(current);
+        }
+    });
+
+    // Deep link: open the photo named in the URL right away
+    syncWithUrl();
+})();
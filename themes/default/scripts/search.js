@@ -0,0 +1,162 @@
+// Story search for the /search/ page.
+// Loads the search index written by the build, matches every word of the query against the
+// title, tags, description and text of each story, and lists the best matches with their cover.
+// The query is kept in the URL (?q=...) so a search can be linked to or bookmarked.
+(function () {
+    var form = document.querySelector('form[data-search-index]');
+    if (!form) {
+        return;
+    }
+
+    var input = form.querySelector('input[name="q"]');
+    var status = document.querySelector('.search-status');
+    var results = document.querySelector('.search-results');
+    var entries = null;
+
+    // Field weights: a word in the title counts far more than one somewhere in the text
+    var FIELDS = [
+        { name: 'title', weight: 10 },
+        { name: 'tags', weight: 5 },
+        { name: 'description', weight: 3 },
+        { name: 'text', weight: 1 }
+    ];
+
+    // Lowercase and drop accents, so "café" matches "cafe"
+    function normalize(value) {
+        var text = String(value || '').toLowerCase();
+        return text.normalize ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : text;
+    }
+
+    function prepare(index) {
+        return index.map(function (entry) {
+            var prepared = { entry: entry };
+            FIELDS.forEach(function (field) {
+                var value = field.name === 'tags' ? (entry.tags || []).join(' ') : entry[field.name];
+                prepared[field.name] = ' ' + normalize(value);
+            });
+            return prepared;
+        });
+    }
+
+    // Score of a story for the query words, or 0 when one of the words is not found anywhere
+    function score(prepared, words) {
+        var total = 0;
+        for (var i = 0; i < words.length; i++) {
+            var wordScore = 0;
+            FIELDS.forEach(function (field) {
+                var text = prepared[field.name];
+                if (text.indexOf(words[i]) !== -1) {
+                    // Words that start with the query word count double
+                    var wordStart = text.indexOf(' ' + words[i]) !== -1 ? 2 : 1;
+                    wordScore = Math.max(wordScore, field.weight * wordStart);
+                }
+            });
+            if (wordScore === 0) {
+                return 0;
+            }
+            total += wordScore;
+        }
+        return total;
+    }
+
+    function search(query) {
+        var words = normalize(query).split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return [];
+        }
+        return entries
+            .map(function (prepared) {
+                return { entry: prepared.entry, score: score(prepared, words) };
+            })
+            .filter(function (match) {
+                return match.score > 0;
+            })
+            .sort(function (a, b) {
+                return b.score - a.score || (a.entry.date < b.entry.date ? 1 : a.entry.date > b.entry.date ? -1 : 0);
+            })
+            .map(function (match) {
+                return match.entry;
+            });
+    }
+
+    function element(tagName, className, text) {
+        var node = document.createElement(tagName);
+        if (className) {
+            node.className = className;
+        }
+        if (text) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    function renderResult(entry) {
+        var item = document.createElement('li');
+        var link = element('a');
+        link.href = entry.url;
+        if (entry.thumbnail) {
+            var image = element('img');
+            image.src = entry.thumbnail.url;
+            image.width = entry.thumbnail.width;
+            image.height = entry.thumbnail.height;
+            image.alt = '';
+            image.loading = 'lazy';
+            link.appendChild(image);
+        }
+        link.appendChild(element('span', 'story-title', entry.title));
+        link.appendChild(document.createTextNode(' '));
+        link.appendChild(element('span', 'story-date', entry.date));
+        item.appendChild(link);
+        if (entry.description) {
+            item.appendChild(element('p', 'story-description', entry.description));
+        }
+        return item;
+    }
+
+    function showResults(query) {
+        results.innerHTML = '';
+        if (!query.trim()) {
+            status.textContent = '';
+            return;
+        }
+        var matches = search(query);
+        var message = matches.length === 1 ? form.getAttribute('data-one-result') : form.getAttribute('data-results');
+        status.textContent = matches.length === 0
+            ? form.getAttribute('data-no-results')
+            : message.replace('{count}', matches.length);
+        matches.forEach(function (entry) {
+            results.appendChild(renderResult(entry));
+        });
+    }
+
+    function update() {
+        var query = input.value;
+        var url = query.trim() ? '?q=' + encodeURIComponent(query) : location.pathname;
+        history.replaceState(null, '', url);
+        showResults(query);
+    }
+
+    var request = new XMLHttpRequest();
+    request.open('GET', form.getAttribute('data-search-index'));
+    request.onload = function () {
+        if (request.status !== 200) {
+            status.textContent = form.getAttribute('data-error');
+            return;
+        }
+        entries = prepare(JSON.parse(request.responseText));
+        input.addEventListener('input', update);
+        form.addEventListener('submit', function (event) {
+            event.preventDefault();
+            update();
+        });
+        var query = new URLSearchParams(location.search).get('q');
+        if (query) {
+            input.value = query;
+        }
+        showResults(input.value);
+    };
+    request.onerror = function () {
+        status.textContent = form.getAttribute('data-error');
+    };
+    request.send();
+})();